@@ -1,30 +1,30 @@
-// Store for active sessions
-let activeSessions = new Map();
-
-// Threshold for considering tabs related (similarity in URL or title)
-const SIMILARITY_THRESHOLD = 0.5;
-
-// Calculate similarity between two strings
-function calculateSimilarity(str1, str2) {
-    const words1 = str1.toLowerCase().split(/[^\w]+/);
-    const words2 = str2.toLowerCase().split(/[^\w]+/);
-    const intersection = words1.filter(word => words2.includes(word));
-    return intersection.length / Math.max(words1.length, words2.length);
-}
-
 // Group related tabs
 async function groupRelatedTabs(tabId) {
     try {
-        const tab = await chrome.tabs.get(tabId);
-        const allTabs = await chrome.tabs.query({ windowId: tab.windowId });
+        await tabIndexReady;
+        const tab = indexTab(await chrome.tabs.get(tabId));
+        if (isRestoring(tab)) return;
+        const exclusions = await getSettings('exclusions');
+        const exclusionState = await getExclusionState();
+        if (isTabExcluded(tab, exclusions, exclusionState)) return;
+
+        // User-defined rules take precedence over similarity matching
+        const rules = await loadRules();
+        const rule = findMatchingRule(tab.url, rules);
+        if (rule) {
+            const windowTabs = getWindowTabs(tab.windowId)
+                .filter(otherTab => !isTabExcluded(otherTab, exclusions, exclusionState));
+            await applyGroupingRule(tab, rule, windowTabs, rules);
+            return;
+        }
+
+        const { strategy, threshold } = getStrategy(await getSettings('grouping'));
+        const context = prepareStrategyFromIndex(strategy, tabIndex, tab.windowId);
         
-        // Find related tabs based on URL and title similarity
-        const relatedTabs = allTabs.filter(otherTab => {
-            if (otherTab.id === tabId) return false;
-            const urlSimilarity = calculateSimilarity(tab.url, otherTab.url);
-            const titleSimilarity = calculateSimilarity(tab.title, otherTab.title);
-            return Math.max(urlSimilarity, titleSimilarity) > SIMILARITY_THRESHOLD;
-        });
+        // Only tabs sharing an index key with this tab can be related
+        const relatedTabs = findCandidates(tab, strategy.candidateKeys(tab))
+            .filter(otherTab => !isTabExcluded(otherTab, exclusions, exclusionState))
+            .filter(otherTab => strategy.compareTabs(tab, otherTab, context) > threshold);
 
         if (relatedTabs.length > 0) {
             // Check if any of the related tabs are already in a group
@@ -32,21 +32,23 @@ async function groupRelatedTabs(tabId) {
 
             if (existingGroup) {
                 // Add the new tab to existing group
-                await chrome.tabs.group({
-                    tabIds: tabId,
-                    groupId: existingGroup
+                await groupTabsWithJournal({
+                    tabIds: [tabId],
+                    groupId: existingGroup,
+                    windowId: tab.windowId,
+                    reason: 'similarity'
                 });
             } else {
-                // Create a new group
-                const groupId = await chrome.tabs.group({
-                    tabIds: [tabId, ...relatedTabs.map(t => t.id)]
-                });
-                
-                // Set group color and title based on common terms
+                // Create a new group with color and title based on common terms
                 const commonTerms = findCommonTerms([tab, ...relatedTabs]);
-                await chrome.tabGroups.update(groupId, {
-                    color: 'blue',
-                    title: commonTerms.slice(0, 2).join(' ')
+                await groupTabsWithJournal({
+                    tabIds: [tabId, ...relatedTabs.map(t => t.id)],
+                    windowId: tab.windowId,
+                    properties: {
+                        color: 'blue',
+                        title: commonTerms.slice(0, 2).join(' ')
+                    },
+                    reason: 'similarity'
                 });
             }
         }
@@ -55,39 +57,493 @@ async function groupRelatedTabs(tabId) {
     }
 }
 
-// Find common terms between tabs for group title
-function findCommonTerms(tabs) {
-    const allTerms = new Map();
-    tabs.forEach(tab => {
-        const terms = tab.title.toLowerCase().split(/[^\w]+/);
-        terms.forEach(term => {
-            if (term.length > 3) { // Ignore short terms
-                allTerms.set(term, (allTerms.get(term) || 0) + 1);
+// Move a tab, and any ungrouped tabs matching the same rule, into the rule's group
+async function applyGroupingRule(tab, rule, allTabs, rules) {
+    const [existingGroup] = await chrome.tabGroups.query({
+        windowId: tab.windowId,
+        title: rule.title
+    });
+    if (existingGroup && tab.groupId === existingGroup.id) return;
+
+    const matchingTabs = allTabs.filter(otherTab =>
+        otherTab.id !== tab.id &&
+        otherTab.groupId === -1 &&
+        findMatchingRule(otherTab.url, rules)?.id === rule.id
+    );
+    const tabIds = [tab.id, ...matchingTabs.map(t => t.id)];
+
+    await groupTabsWithJournal({
+        tabIds,
+        groupId: existingGroup?.id,
+        windowId: tab.windowId,
+        properties: existingGroup ? null : {
+            color: rule.color,
+            title: rule.title
+        },
+        reason: 'rule'
+    });
+}
+
+// Tabs the extension is moving between groups or windows, with how many moves hold each.
+// Their group changes are not the user's doing, so they don't count as manual ungrouping.
+const movingTabs = new Map();
+const MOVE_SETTLE_DELAY = 1000;
+
+async function whileMovingTabs(tabIds, move) {
+    tabIds.forEach(id => movingTabs.set(id, (movingTabs.get(id) || 0) + 1));
+    try {
+        return await move();
+    } finally {
+        // Change events can arrive after the call that caused them has returned
+        setTimeout(() => tabIds.forEach(id => {
+            const count = movingTabs.get(id) - 1;
+            if (count > 0) movingTabs.set(id, count);
+            else movingTabs.delete(id);
+        }), MOVE_SETTLE_DELAY);
+    }
+}
+
+// Group tabs, recording where they were so the operation can be undone.
+// Without a groupId a new group is created in the given window.
+async function groupTabsWithJournal({ tabIds, groupId, windowId, properties = null, reason }) {
+    const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id)));
+
+    // Remember the groups the tabs leave, so they can be recreated if they disappear
+    const groups = {};
+    const affectedGroupIds = new Set([...tabs.map(t => t.groupId), groupId].filter(id => id !== undefined && id !== -1));
+    for (const id of affectedGroupIds) {
+        const group = await chrome.tabGroups.get(id);
+        groups[id] = { title: group.title, color: group.color, collapsed: group.collapsed };
+    }
+
+    const targetGroupId = await whileMovingTabs(tabIds, () => groupId
+        ? chrome.tabs.group({ tabIds, groupId })
+        : chrome.tabs.group({ tabIds, createProperties: { windowId } }));
+    if (properties) {
+        await chrome.tabGroups.update(targetGroupId, properties);
+    }
+
+    await recordGrouping({
+        reason,
+        windowId,
+        groupId: targetGroupId,
+        createdGroup: !groupId,
+        moves: tabs.map(t => ({ tabId: t.id, fromGroupId: t.groupId, fromIndex: t.index })),
+        groups
+    });
+    return targetGroupId;
+}
+
+// Revert the most recent automatic grouping operations, newest first
+async function undoGroupings(count = 1) {
+    const entries = await takeRecentGroupings(count);
+    let undone = 0;
+
+    for (const entry of entries) {
+        try {
+            await revertGrouping(entry);
+            undone++;
+        } catch (error) {
+            console.error('Error undoing grouping:', error);
+        }
+    }
+    return { undone };
+}
+
+// Put the tabs of one journal entry back where they were
+async function revertGrouping(entry) {
+    // Skip tabs that have been closed since
+    const openTabs = new Set();
+    for (const move of entry.moves) {
+        const tab = await chrome.tabs.get(move.tabId).catch(() => null);
+        if (tab) openTabs.add(move.tabId);
+    }
+    const moves = entry.moves.filter(move => openTabs.has(move.tabId));
+
+    // Previously ungrouped tabs go back to their old positions, lowest index first.
+    // The ungroup is reported like a manual one, so these tabs are not regrouped right away.
+    const ungroupedMoves = moves
+        .filter(move => move.fromGroupId === -1)
+        .sort((a, b) => a.fromIndex - b.fromIndex);
+    if (ungroupedMoves.length > 0) {
+        await chrome.tabs.ungroup(ungroupedMoves.map(move => move.tabId));
+        for (const move of ungroupedMoves) {
+            await chrome.tabs.move(move.tabId, { index: move.fromIndex });
+        }
+    }
+
+    // Tabs that came from another group return to it, recreating it if it is gone
+    const movesByGroup = new Map();
+    for (const move of moves.filter(move => move.fromGroupId !== -1 && move.fromGroupId !== entry.groupId)) {
+        if (!movesByGroup.has(move.fromGroupId)) movesByGroup.set(move.fromGroupId, []);
+        movesByGroup.get(move.fromGroupId).push(move.tabId);
+    }
+    for (const [fromGroupId, tabIds] of movesByGroup) {
+        const existing = await chrome.tabGroups.get(fromGroupId).catch(() => null);
+        if (existing) {
+            await chrome.tabs.group({ tabIds, groupId: fromGroupId });
+        } else {
+            const recreatedId = await chrome.tabs.group({ tabIds, createProperties: { windowId: entry.windowId } });
+            const { title, color, collapsed } = entry.groups[fromGroupId] || {};
+            await chrome.tabGroups.update(recreatedId, { title, color, collapsed });
+        }
+    }
+
+    // Restore the look of a pre-existing target group that is still there
+    const targetBefore = entry.groups[entry.groupId];
+    if (!entry.createdGroup && targetBefore) {
+        const target = await chrome.tabGroups.get(entry.groupId).catch(() => null);
+        if (target) {
+            await chrome.tabGroups.update(entry.groupId, { title: targetBefore.title, color: targetBefore.color });
+        }
+    }
+}
+
+// Open tabs showing the same page as the given tab, by the duplicate URL policy
+function findDuplicateTabs(tab, policy) {
+    const normalized = normalizeUrl(tab.url, policy);
+    return getWindowTabs().filter(other =>
+        other.id !== tab.id && isGroupableUrl(other.url) && normalizeUrl(other.url, policy) === normalized
+    );
+}
+
+// React to a tab that navigated to a page which is already open
+async function handleDuplicateTab(tabId) {
+    try {
+        await tabIndexReady;
+        const tab = indexTab(await chrome.tabs.get(tabId));
+        if (!isGroupableUrl(tab.url) || tab.pinned || isRestoring(tab)) return;
+
+        const policy = await getSettings('duplicates');
+        const [existing] = findDuplicateTabs(tab, policy).sort((a, b) => a.id - b.id);
+        if (!existing || policy.action === 'badge') {
+            scheduleDuplicateBadge();
+            return;
+        }
+        // Only the newer copy closes, so two tabs loading the same page at once don't close each other
+        if (existing.id > tab.id) return;
+        // Keep this tab if the copy it duplicates was closed meanwhile
+        try {
+            await chrome.tabs.get(existing.id);
+        } catch (error) {
+            return;
+        }
+
+        if (policy.action === 'focus') {
+            await chrome.tabs.update(existing.id, { active: true });
+            await chrome.windows.update(existing.windowId, { focused: true });
+        }
+        await chrome.tabs.remove(tabId);
+    } catch (error) {
+        console.error('Error handling duplicate tab:', error);
+    }
+}
+
+// Close every duplicate tab, keeping the active, pinned or oldest copy of each page
+async function closeDuplicateTabs() {
+    const policy = await getSettings('duplicates');
+    const tabs = (await chrome.tabs.query({})).filter(tab => isGroupableUrl(tab.url));
+    const byUrl = new Map();
+    for (const tab of tabs) {
+        const normalized = normalizeUrl(tab.url, policy);
+        if (!byUrl.has(normalized)) byUrl.set(normalized, []);
+        byUrl.get(normalized).push(tab);
+    }
+
+    const toClose = [];
+    for (const copies of byUrl.values()) {
+        if (copies.length < 2) continue;
+        copies.sort((a, b) => (b.active - a.active) || (b.pinned - a.pinned) || (a.id - b.id));
+        toClose.push(...copies.slice(1).filter(tab => !tab.pinned).map(tab => tab.id));
+    }
+
+    if (toClose.length > 0) {
+        await chrome.tabs.remove(toClose);
+    }
+    scheduleDuplicateBadge();
+    return { closed: toClose.length };
+}
+
+// Show the number of duplicate tabs on the toolbar icon
+let duplicateBadgeTimer = null;
+
+function scheduleDuplicateBadge() {
+    clearTimeout(duplicateBadgeTimer);
+    duplicateBadgeTimer = setTimeout(updateDuplicateBadge, 500);
+}
+
+async function updateDuplicateBadge() {
+    try {
+        await tabIndexReady;
+        const policy = await getSettings('duplicates');
+        const seen = new Set();
+        let duplicates = 0;
+        for (const tab of getWindowTabs()) {
+            if (!isGroupableUrl(tab.url)) continue;
+            const normalized = normalizeUrl(tab.url, policy);
+            if (seen.has(normalized)) {
+                duplicates++;
+            } else {
+                seen.add(normalized);
             }
-        });
+        }
+        await chrome.action.setBadgeBackgroundColor({ color: '#dc3545' });
+        await chrome.action.setBadgeText({ text: duplicates > 0 ? String(duplicates) : '' });
+    } catch (error) {
+        console.error('Error updating duplicate badge:', error);
+    }
+}
+
+// Sessions are stored compressed (and chunked when large) under session_<timestamp> keys.
+// The session index lists their summaries so the popup doesn't have to decompress every session.
+const SESSION_INDEX_KEY = 'sessionIndex';
+const SESSION_KEY_PATTERN = /^(session_\d+)(?:_meta)?$/;
+
+// Summary of a session as kept in the session index
+function summarizeSession(key, session) {
+    return {
+        key,
+        name: session.name,
+        timestamp: session.timestamp,
+        updatedAt: session.updatedAt || session.timestamp,
+        profile: session.profile || null,
+        tags: session.tags || [],
+        folder: session.folder || null,
+        pinned: !!session.pinned,
+        windowCount: session.windows.length,
+        tabCount: session.windows.reduce((sum, win) => sum + win.tabs.length, 0)
+    };
+}
+
+async function loadSessionIndex() {
+    return (await storageGet(SESSION_INDEX_KEY)) || [];
+}
+
+// Serialize index updates so concurrent saves don't overwrite each other
+let sessionIndexUpdates = Promise.resolve();
+
+function updateSessionIndex(update) {
+    const result = sessionIndexUpdates.then(async () => {
+        const index = update(await loadSessionIndex());
+        await storageSet(SESSION_INDEX_KEY, index);
+        return index;
+    });
+    sessionIndexUpdates = result.catch(error => {
+        console.error('Error updating session index:', error);
+    });
+    return result;
+}
+
+// Load a full session, with changes from its live windows that are not written yet
+async function getSession(key) {
+    await sessionsReady;
+    const session = await storageGet(key);
+    return session && applyTrackedDraft(session, await getTrackedDraft(key));
+}
+
+// Store a session and refresh its index entry. The state it replaces goes into the session's
+// version history; with coalesce set, versions replaced moments ago are folded together.
+async function putSession(key, session, { coalesce = false } = {}) {
+    // Raw sessions from before compression can't be read this way and start without history
+    const previous = await storageGet(key).catch(() => null);
+    await storageSet(key, session);
+    if (previous) {
+        await recordVersion(key, previous, session, { coalesce });
+    }
+    await indexSession(key, { ...session, windows: session.windows.map(upgradeWindowGroups) });
+    await updateSessionIndex(index => [
+        ...index.filter(entry => entry.key !== key),
+        summarizeSession(key, session)
+    ]);
+}
+
+// Delete a session and its index entry
+// Sessions moved to the trash keep their version history until the trash entry is deleted
+async function deleteSession(key, { keepHistory = false } = {}) {
+    await unbindSession(key);
+    await storageRemove(key);
+    if (!keepHistory) await deleteHistory(key);
+    await removeFromSearchIndex(key);
+    await updateSessionIndex(index => index.filter(entry => entry.key !== key));
+}
+
+// A stored session in the current format
+async function getUpgradedSession(key) {
+    const session = await getSession(key);
+    if (!session) throw new Error('Session not found');
+    return { ...session, version: SESSION_FORMAT_VERSION, windows: session.windows.map(upgradeWindowGroups) };
+}
+
+// Edits that leave the tabs alone and so keep the session live
+const METADATA_EDITS = ['rename', 'setTags', 'setFolder', 'setPinned'];
+
+// Apply a batch of edits (see session-edits.js) to a stored session and return the result
+async function updateSession(key, edits) {
+    const edited = applySessionEdits(await getUpgradedSession(key), edits);
+    if (edited.windows.length === 0) {
+        throw new Error('A session needs at least one tab; delete the session instead');
+    }
+    // Live windows would put back their own tabs on the next change
+    if (edits.some(edit => !METADATA_EDITS.includes(edit.type))) {
+        await unbindSession(key);
+    }
+    await putSession(key, { ...edited, updatedAt: Date.now() });
+    return edited;
+}
+
+// Move or copy tabs (given as "<windowIndex>:<tabIndex>" references) into another saved session.
+// Returns the source session as it is afterwards.
+async function transferTabs(sourceKey, targetKey, tabRefs, { copy = false } = {}) {
+    if (sourceKey === targetKey) throw new Error('Tabs are already in this session');
+    const source = await getUpgradedSession(sourceKey);
+    const target = await getUpgradedSession(targetKey);
+    const removals = tabRefs.map(tab => ({ type: 'removeTab', tab }));
+    // Check before touching the target that the source won't be left empty
+    if (!copy && applySessionEdits(source, removals).windows.length === 0) {
+        throw new Error('Moving every tab would leave this session empty; copy them instead');
+    }
+
+    await unbindSession(targetKey);
+    await putSession(targetKey, { ...appendTabs(target, extractTabs(source, tabRefs)), updatedAt: Date.now() });
+
+    if (copy) return source;
+    return updateSession(sourceKey, removals);
+}
+
+// A session as it is now ('current') or as one of its older versions
+async function getSessionVersion(key, versionId) {
+    const current = await getSession(key);
+    if (!current || versionId === 'current') return current;
+    return getVersion(key, current, versionId);
+}
+
+// Current state and older versions of a session, newest first
+async function listSessionVersions(key) {
+    const current = await getSession(key);
+    if (!current) return [];
+    const { tabCount, windowCount } = summarizeSession(key, current);
+    return [
+        { id: 'current', time: current.updatedAt || current.timestamp, tabCount, windowCount },
+        ...await listVersions(key)
+    ];
+}
+
+// Changes between two versions of a session
+async function diffSessionVersions(key, fromVersionId, toVersionId) {
+    const [from, to] = await Promise.all([
+        getSessionVersion(key, fromVersionId),
+        getSessionVersion(key, toVersionId)
+    ]);
+    if (!from || !to) throw new Error('Session version not found');
+    return diffSessions(
+        { ...from, windows: from.windows.map(upgradeWindowGroups) },
+        { ...to, windows: to.windows.map(upgradeWindowGroups) }
+    );
+}
+
+// Make an older version current again; the state it replaces stays in the history
+async function revertSession(key, versionId) {
+    const version = await getSessionVersion(key, versionId);
+    if (!version) throw new Error('Session version not found');
+    // Live windows would overwrite the reverted state with their own on the next change
+    await unbindSession(key);
+    await putSession(key, { ...version, updatedAt: Date.now() });
+}
+
+// Session summaries, pinned first and then newest first, flagged live when windows are bound to them
+async function listSessions() {
+    await sessionsReady;
+    const index = await loadSessionIndex();
+    const liveKeys = new Set(await getLiveSessionKeys());
+    return index
+        .map(entry => ({ tags: [], folder: null, pinned: false, ...entry, live: liveKeys.has(entry.key) }))
+        .sort((a, b) => (b.pinned - a.pinned) || (b.timestamp - a.timestamp));
+}
+
+// Move sessions saved as raw sync items into the compressed layer and index any
+// stored session the index doesn't know about yet (e.g. synced from another device)
+async function migrateSessions() {
+    const storage = await chrome.storage.sync.get(null);
+    const indexed = new Set((await loadSessionIndex()).map(entry => entry.key));
+    const keys = new Set(Object.keys(storage)
+        .map(key => key.match(SESSION_KEY_PATTERN)?.[1])
+        .filter(Boolean));
+
+    for (const key of keys) {
+        try {
+            const raw = storage[key];
+            if (raw && typeof raw === 'object' && Array.isArray(raw.windows)) {
+                console.log(`Migrating raw session ${key}`);
+                await putSession(key, raw);
+            } else if (!indexed.has(key)) {
+                const session = await storageGet(key);
+                if (session) await putSession(key, session);
+            }
+        } catch (error) {
+            console.error(`Error migrating session ${key}:`, error);
+        }
+    }
+
+    // Drop index entries whose session no longer exists
+    if ([...indexed].some(key => !keys.has(key))) {
+        await updateSessionIndex(index => index.filter(entry => keys.has(entry.key)));
+    }
+}
+
+// Bring the search index in line with the session index, e.g. after sessions changed on another device
+async function syncSearchIndex() {
+    const sessions = await loadSessionIndex();
+    const indexed = await getIndexedSessions();
+
+    for (const entry of sessions) {
+        if (indexed.get(entry.key) === (entry.updatedAt || entry.timestamp)) continue;
+        try {
+            const session = await storageGet(entry.key);
+            if (session) {
+                await indexSession(entry.key, { ...session, windows: session.windows.map(upgradeWindowGroups) });
+            }
+        } catch (error) {
+            console.error(`Error indexing session ${entry.key}:`, error);
+        }
+    }
+
+    const keys = new Set(sessions.map(entry => entry.key));
+    for (const key of indexed.keys()) {
+        if (!keys.has(key)) await removeFromSearchIndex(key);
+    }
+}
+
+let searchIndexSyncTimer = null;
+
+function scheduleSearchIndexSync() {
+    clearTimeout(searchIndexSyncTimer);
+    searchIndexSyncTimer = setTimeout(() => {
+        syncSearchIndex().catch(error => console.error('Error syncing search index:', error));
+    }, 5000);
+}
+
+const sessionsReady = migrateSessions()
+    .then(syncSearchIndex)
+    .catch(error => {
+        console.error('Error migrating sessions:', error);
     });
-    return Array.from(allTerms.entries())
-        .filter(([_, count]) => count >= tabs.length / 2)
-        .map(([term]) => term);
+
+// Version 2 sessions reference groups by local id instead of browser group id
+const SESSION_FORMAT_VERSION = 2;
+
+// Session keys are the time they were created; keys handed out in the same millisecond move on
+// to the next one, so sessions saved or imported together never share a key
+let lastSessionKeyTime = 0;
+
+function newSessionKey() {
+    lastSessionKeyTime = Math.max(Date.now(), lastSessionKeyTime + 1);
+    return `session_${lastSessionKeyTime}`;
 }
 
-// Save current session
-async function saveSession(sessionName, profileName = null) {
+// Save current session. With track set, the windows stay bound to the session and keep updating it.
+async function saveSession(sessionName, profileName = null, { track = false } = {}) {
     const windows = await chrome.windows.getAll({ populate: true });
-    const session = {
-        name: sessionName,
-        timestamp: Date.now(),
-        profile: profileName,
-        windows: windows.map(win => ({
-            tabs: win.tabs.map(tab => ({
-                url: tab.url,
-                title: tab.title,
-                groupId: tab.groupId,
-                domain: new URL(tab.url).hostname
-            })),
-            groups: [] // Will be populated with group information
-        }))
-    };
+    const session = await captureSession(sessionName, profileName, windows);
 
     // Get unique domains in this session
     const domains = new Set(session.windows.flatMap(w => 
@@ -101,46 +557,243 @@ async function saveSession(sessionName, profileName = null) {
         }
     }
 
-    // Get group information for each window
-    for (const win of session.windows) {
-        const groups = await chrome.tabGroups.query({ windowId: win.id });
-        win.groups = groups.map(group => ({
-            id: group.id,
-            title: group.title,
-            color: group.color
-        }));
-    }
+    // Save through the compressed storage layer
+    const key = newSessionKey();
+    await putSession(key, session);
 
-    // Save to sync storage
-    const key = `session_${Date.now()}`;
-    await chrome.storage.sync.set({ [key]: session });
+    if (track) {
+        for (const [index, win] of windows.entries()) {
+            await bindWindow(win.id, key, index);
+        }
+    }
     return key;
 }
 
-// Clean up old sessions to stay within storage limits
-async function cleanupOldSessions() {
-    const MAX_SESSIONS = 50;
-    const storage = await chrome.storage.sync.get(null);
-    const sessions = Object.entries(storage)
-        .filter(([key]) => key.startsWith('session_'))
-        .sort(([, a], [, b]) => b.timestamp - a.timestamp);
+// Snapshot the given windows, or every open window, as a session object
+async function captureSession(sessionName, profileName = null, windows = null) {
+    windows = windows || await chrome.windows.getAll({ populate: true });
+    const duplicatePolicy = await getSettings('duplicates');
+    const seenUrls = new Set();
+    const isFirstCopy = (tab) => {
+        const normalized = normalizeUrl(tab.url, duplicatePolicy);
+        if (seenUrls.has(normalized)) return false;
+        seenUrls.add(normalized);
+        return true;
+    };
+    const session = {
+        name: sessionName,
+        timestamp: Date.now(),
+        profile: profileName,
+        version: SESSION_FORMAT_VERSION,
+        windows: []
+    };
 
-    if (sessions.length > MAX_SESSIONS) {
-        const toRemove = sessions.slice(MAX_SESSIONS).map(([key]) => key);
-        await chrome.storage.sync.remove(toRemove);
+    for (const win of windows) {
+        // Leave out tabs that duplicate a page already in the session, and tabs still without a URL
+        session.windows.push(await captureWindow(win, win.tabs.filter(tab => tab.url && isFirstCopy(tab))));
     }
+    return session;
+}
+
+// Bytes an item takes up in a storage area, counting its chunks, the way the sync quota counts them
+function storedBytes(items, key) {
+    return Object.entries(items)
+        .filter(([name]) => name === key || name.startsWith(`${key}_`))
+        .reduce((sum, [name, value]) => sum + name.length + JSON.stringify(value).length, 0);
 }
 
-// Restore session
-async function restoreSession(sessionKey) {
-    const data = await chrome.storage.sync.get(sessionKey);
-    const session = data[sessionKey];
+// Sessions and profiles in the form the retention rules evaluate
+async function collectRetentionItems() {
+    const syncItems = await chrome.storage.sync.get(null);
+    const localItems = await chrome.storage.local.get(null);
+    const sessions = (await listSessions()).map(summary => ({
+        key: summary.key,
+        kind: 'session',
+        name: summary.name,
+        time: summary.updatedAt || summary.timestamp,
+        bytes: storedBytes(syncItems, summary.key),
+        pinned: summary.pinned,
+        tags: summary.tags
+    }));
+    const profiles = (await listProfiles()).map(profile => ({
+        key: profile.key,
+        kind: 'profile',
+        name: `${profile.name} (${profile.domain})`,
+        // Lists synced from older versions may not record use yet; those profiles don't age until they do
+        time: profile.lastAccessed || Date.now(),
+        bytes: storedBytes(syncItems, profile.key) + storedBytes(localItems, profile.key),
+        pinned: false,
+        tags: []
+    }));
+    return [...sessions, ...profiles];
+}
 
-    if (!session) return;
+// Dry run of the retention policy, or of the given rules when previewing changes to it
+async function getRetentionReport(rules = null) {
+    if (rules) validateRetentionRules(rules);
+    const settings = await getSettings('retention');
+    return evaluateRetention(await collectRetentionItems(), rules || settings.rules);
+}
+
+const RETENTION_REPORT_KEY = 'retentionReport';
+
+// Serialize runs so overlapping saves don't trash the same items twice
+let retentionRuns = Promise.resolve();
+
+// Purge what the retention policy's dry run reports into the trash, and expire old trash.
+// The report is kept so the options page can show what was purged and why.
+function applyRetention() {
+    const result = retentionRuns.then(async () => {
+        const settings = await getSettings('retention');
+        const report = evaluateRetention(await collectRetentionItems(), settings.rules);
+        await chrome.storage.local.set({ [RETENTION_REPORT_KEY]: report });
+
+        for (const item of report.purge) {
+            const reason = item.reasons.join(', ');
+            try {
+                if (item.kind === 'session') {
+                    await trashSession(item.key, reason);
+                } else {
+                    await trashProfile(item.key, reason);
+                }
+            } catch (error) {
+                console.error(`Error purging ${item.key}:`, error);
+            }
+        }
+
+        const expired = await expireOldTrash(settings.trashDays);
+        if (report.purge.length > 0 || expired > 0) {
+            console.log(`Retention moved ${report.purge.length} items to the trash and deleted ${expired} expired items`);
+        }
+        return report;
+    });
+    retentionRuns = result.catch(error => {
+        console.error('Error applying retention policy:', error);
+    });
+    return result;
+}
+
+async function getLastRetentionReport() {
+    const data = await chrome.storage.local.get(RETENTION_REPORT_KEY);
+    return data[RETENTION_REPORT_KEY] || null;
+}
+
+// Move a session to the trash; returns its trash entry
+async function trashSession(key, reason = null) {
+    const session = await getSession(key);
+    if (!session) throw new Error('Session not found');
+    const entry = await moveToTrash({ kind: 'session', key, name: session.name, data: session, reason });
+    await deleteSession(key, { keepHistory: true });
+    return entry;
+}
+
+// Move a profile, with its place in the domain's profile list, to the trash
+async function trashProfile(profileKey, reason = null) {
+    const profile = (await listProfiles()).find(other => other.key === profileKey);
+    if (!profile) throw new Error('Profile not found');
+    const { key, domain, ...entry } = profile;
+    const trashed = await moveToTrash({
+        kind: 'profile',
+        key,
+        name: `${entry.name} (${domain})`,
+        data: { domain, entry, profile: await loadProfileData(key) },
+        reason
+    });
+    await deleteProfileData(key);
+    await updateDomainProfiles(domain, profiles => profiles.filter(p => p.name !== entry.name));
+    return trashed;
+}
+
+// Delete sessions' version histories along with their trash entries
+async function deleteTrashedHistories(entries) {
+    for (const entry of entries) {
+        if (entry.kind === 'session') await deleteHistory(entry.key);
+    }
+    return entries.length;
+}
+
+// Delete items from the trash for good; returns how many
+async function purgeFromTrash(ids = null) {
+    return deleteTrashedHistories(await purgeTrash(ids));
+}
+
+// Delete items whose time in the trash is up; returns how many
+async function expireOldTrash(trashDays) {
+    return deleteTrashedHistories(await expireTrash(trashDays));
+}
+
+// Trash entries, newest first, with when each expires; expired ones are deleted first
+async function getTrash() {
+    const { trashDays } = await getSettings('retention');
+    await expireOldTrash(trashDays);
+    return (await listTrash()).map(entry => ({
+        ...entry,
+        expiresAt: entry.deletedAt + trashDays * 24 * 60 * 60 * 1000
+    }));
+}
+
+// Put an item back from the trash; returns { kind, key } of the restored item
+async function restoreFromTrash(id) {
+    const { entry, data } = await getTrashItem(id);
+    if (!data) throw new Error('Could not read the item from the trash');
+
+    let key = entry.key;
+    if (entry.kind === 'session') {
+        // Keys are timestamps, so one taken since by another session is practically impossible,
+        // but never overwrite a session with a restored one
+        if (await getSession(key)) key = newSessionKey();
+        await putSession(key, data);
+    } else {
+        await storeProfileData(key, data.profile);
+        await updateDomainProfiles(data.domain, profiles => [
+            ...profiles.filter(p => p.name !== data.entry.name),
+            data.entry
+        ]);
+    }
+    // Only the trash entry goes; a restored session keeps its version history
+    await purgeTrash([id]);
+    return { kind: entry.kind, key };
+}
+
+// Restore a stored session.
+// With options.track set, the whole session opens in new windows that stay bound to it.
+async function restoreSession(sessionKey, options = {}) {
+    const session = await getSession(sessionKey);
+
+    if (!session) return { restoredTabs: 0, skippedTabs: 0 };
+    if (!options.track) return restoreSessionData(session, options);
+
+    // Every saved tab is reopened, so each live window mirrors its session window
+    const result = await restoreSessionData(session, { mode: 'new', skipOpen: false });
+    const sourceIndexes = session.windows
+        .map((_, index) => index)
+        .filter(index => session.windows[index].tabs.length > 0);
+    for (const [i, windowId] of result.windowIds.entries()) {
+        await bindWindow(windowId, sessionKey, sourceIndexes[i]);
+    }
+    return result;
+}
+
+// Restore a session object.
+// mode 'new' opens the saved windows as new windows; 'current' and 'append' add the tabs to the
+// window targetWindowId, and 'replace' swaps out that window's tabs for the session's.
+// selection optionally limits the restore to [{ window, tabs }] pairs of saved window and tab indices.
+// Tabs already open elsewhere are skipped unless skipOpen is unset.
+// Returns the tab counts and, in 'new' mode, the ids of the windows created.
+function restoreSessionData(session, options = {}) {
+    return whileRestoring(() => openSessionData(session, options), RESTORE_SETTLE_DELAY);
+}
+
+// How long restored tabs stay exempt from automatic grouping and duplicate closing after a
+// restore, while their pages load
+const RESTORE_SETTLE_DELAY = 30000;
+
+async function openSessionData(session, { mode = 'new', targetWindowId = null, selection = null, skipOpen = true } = {}) {
+    const selected = selectSessionTabs(session.windows.map(upgradeWindowGroups), selection);
 
     // Switch profiles for each domain if profile is specified
     if (session.profile) {
-        const domains = new Set(session.windows.flatMap(w => 
+        const domains = new Set(selected.flatMap(w => 
             w.tabs.map(t => t.domain)
         ));
         
@@ -149,74 +802,634 @@ async function restoreSession(sessionKey) {
         }
     }
 
-    for (const windowData of session.windows) {
-        // Create new window with first tab
-        const window = await chrome.windows.create({
-            url: windowData.tabs[0].url
-        });
+    if (mode !== 'new' && targetWindowId === null) {
+        targetWindowId = (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+    }
+    // Tabs about to be replaced don't count as open
+    const { windows, skippedTabs } = skipOpen
+        ? await skipOpenTabs(selected, mode === 'replace' ? targetWindowId : null)
+        : { windows: selected, skippedTabs: 0 };
+    const restoredTabs = windows.reduce((sum, win) => sum + win.tabs.length, 0);
+
+    const restoreSettings = await getSettings('restore');
+    const deferredTabIds = [];
+    const windowIds = [];
+    if (mode === 'new') {
+        let focusedWindowId = null;
+        for (const windowData of windows) {
+            const { window, deferred } = await restoreWindow(windowData, restoreSettings);
+            if (windowData.focused) focusedWindowId = window.id;
+            windowIds.push(window.id);
+            deferredTabIds.push(...deferred);
+        }
 
-        // Create remaining tabs
-        const tabPromises = windowData.tabs.slice(1).map(tab =>
-            chrome.tabs.create({
-                windowId: window.id,
-                url: tab.url
-            })
-        );
-        await Promise.all(tabPromises);
+        // Focus the window that had focus when the session was saved
+        if (focusedWindowId !== null) {
+            await chrome.windows.update(focusedWindowId, { focused: true });
+        }
+    } else if (restoredTabs > 0) {
+        const replacedTabs = mode === 'replace' ? await chrome.tabs.query({ windowId: targetWindowId }) : [];
+        deferredTabIds.push(...await restoreTabs(targetWindowId, mergeWindowData(windows), {
+            lazy: restoreSettings.lazy,
+            activate: mode === 'replace'
+        }));
+        // Close the old tabs last so the window never ends up empty
+        if (replacedTabs.length > 0) {
+            await chrome.tabs.remove(replacedTabs.map(tab => tab.id));
+        }
+    }
 
-        // Recreate groups
-        for (const group of windowData.groups) {
-            const tabIds = windowData.tabs
-                .filter(tab => tab.groupId === group.id)
-                .map(tab => tab.id);
-            
-            if (tabIds.length > 0) {
-                const newGroupId = await chrome.tabs.group({
-                    tabIds,
-                    windowId: window.id
-                });
-                await chrome.tabGroups.update(newGroupId, {
-                    color: group.color,
-                    title: group.title
-                });
-            }
+    if (restoreSettings.backgroundLoad && deferredTabIds.length > 0) {
+        queueTabLoads(deferredTabIds, restoreSettings.concurrency);
+    }
+    return { restoredTabs, skippedTabs, windowIds };
+}
+
+// Copy of a saved window limited to some of its tabs, keeping only the groups they use
+function withTabs(windowData, tabs) {
+    const usedGroups = new Set(tabs.map(tab => tab.group));
+    return {
+        ...windowData,
+        tabs,
+        groups: windowData.groups.filter(group => usedGroups.has(group.id))
+    };
+}
+
+// Saved windows narrowed down to the selected tabs
+function selectSessionTabs(windows, selection) {
+    const selectedWindows = selection
+        ? selection
+            .filter(entry => windows[entry.window])
+            .map(entry => withTabs(
+                windows[entry.window],
+                entry.tabs.map(index => windows[entry.window].tabs[index]).filter(Boolean)
+            ))
+        : windows;
+    return selectedWindows.filter(win => win.tabs.length > 0);
+}
+
+// Drop saved tabs whose page is already open, except in the window ignoreWindowId
+async function skipOpenTabs(windows, ignoreWindowId = null) {
+    const duplicatePolicy = await getSettings('duplicates');
+    const openTabs = await chrome.tabs.query({});
+    const openUrls = new Set(openTabs
+        .filter(tab => tab.windowId !== ignoreWindowId)
+        .map(tab => normalizeUrl(tab.url || tab.pendingUrl || '', duplicatePolicy)));
+
+    let skippedTabs = 0;
+    const remaining = windows.map(win => withTabs(win, win.tabs.filter(tab => {
+        if (!openUrls.has(normalizeUrl(tab.url, duplicatePolicy))) return true;
+        skippedTabs++;
+        return false;
+    })));
+    return { windows: remaining.filter(win => win.tabs.length > 0), skippedTabs };
+}
+
+// Combine saved windows into one, renumbering groups so their local ids stay unique
+function mergeWindowData(windows) {
+    const tabs = [];
+    const groups = [];
+    for (const win of windows) {
+        const groupIds = new Map();
+        for (const group of win.groups) {
+            groupIds.set(group.id, groups.length);
+            groups.push({ ...group, id: groups.length });
         }
+        tabs.push(...win.tabs.map(tab => ({
+            ...tab,
+            group: groupIds.has(tab.group) ? groupIds.get(tab.group) : null
+        })));
     }
+    return { tabs, groups };
 }
 
-// Merge similar groups in a window
-async function mergeRelatedGroups(windowId) {
+// Merge similar groups in a window.
+// With plan set, nothing is moved and the proposed merges are returned instead.
+async function mergeRelatedGroups(windowId, { plan = false } = {}) {
+    const merges = await planGroupMerges(windowId);
+    return plan ? merges : applyGroupMerges(windowId, merges);
+}
+
+// Work out which groups in a window would be merged, with their similarity scores
+async function planGroupMerges(windowId) {
+    const exclusionState = await getExclusionState();
+    if (exclusionState.pausedWindows.has(windowId)) return [];
+
     const groups = await chrome.tabGroups.query({ windowId });
+    const windowTabs = await chrome.tabs.query({ windowId });
+    const { strategy, threshold } = getStrategy(await getSettings('grouping'));
+    const context = prepareStrategy(strategy, windowTabs);
+    const groupTabs = new Map(groups.map(group => [
+        group.id,
+        { ...group, tabs: windowTabs.filter(tab => tab.groupId === group.id) }
+    ]));
     const merged = new Set();
+    const targets = new Set();
+    const merges = [];
 
     for (const group1 of groups) {
         if (merged.has(group1.id)) continue;
 
         for (const group2 of groups) {
-            if (group1.id === group2.id || merged.has(group2.id)) continue;
-
-            const similarity = calculateSimilarity(group1.title || '', group2.title || '');
-            if (similarity > SIMILARITY_THRESHOLD) {
-                const tabs = await chrome.tabs.query({ groupId: group2.id });
-                await chrome.tabs.group({
-                    tabIds: tabs.map(t => t.id),
-                    groupId: group1.id
+            if (group1.id === group2.id || merged.has(group2.id) || targets.has(group2.id)) continue;
+
+            const similarity = strategy.compareGroups(groupTabs.get(group1.id), groupTabs.get(group2.id), context);
+            if (similarity > threshold) {
+                merges.push({
+                    targetGroupId: group1.id,
+                    targetTitle: group1.title || '',
+                    targetColor: group1.color,
+                    sourceGroupId: group2.id,
+                    sourceTitle: group2.title || '',
+                    sourceColor: group2.color,
+                    tabCount: groupTabs.get(group2.id).tabs.length,
+                    similarity
                 });
                 merged.add(group2.id);
+                targets.add(group1.id);
+            }
+        }
+    }
+    return merges;
+}
+
+// Carry out planned merges and report what actually moved
+async function applyGroupMerges(windowId, merges) {
+    const exclusions = await getSettings('exclusions');
+    const exclusionState = await getExclusionState();
+    if (exclusionState.pausedWindows.has(windowId)) return { merged: [] };
+
+    const results = [];
+    for (const merge of merges) {
+        try {
+            // Groups may have been closed or changed since the plan was made
+            const target = await chrome.tabGroups.get(merge.targetGroupId).catch(() => null);
+            if (!target || target.windowId !== windowId) continue;
+
+            const tabs = (await chrome.tabs.query({ groupId: merge.sourceGroupId }))
+                .filter(tab => !isTabExcluded(tab, exclusions, exclusionState));
+            if (tabs.length === 0) continue;
+
+            await groupTabsWithJournal({
+                tabIds: tabs.map(t => t.id),
+                groupId: merge.targetGroupId,
+                windowId,
+                reason: 'merge'
+            });
+            results.push({
+                sourceTitle: merge.sourceTitle,
+                targetTitle: target.title || '',
+                movedTabs: tabs.length
+            });
+        } catch (error) {
+            console.error('Error merging groups:', error);
+        }
+    }
+    return { merged: results };
+}
+
+// Bring related groups and ungrouped tabs from all normal windows together.
+// mode 'single' moves each topic spread over several windows into targetWindowId; 'perTopic'
+// gives every topic a window of its own, keeping it in the window that already holds most of it
+// when no bigger topic took that window first, and opening a new window otherwise.
+async function consolidateWindows({ mode = 'single', targetWindowId, closeEmpty = false } = {}) {
+    const exclusions = await getSettings('exclusions');
+    const exclusionState = await getExclusionState();
+    const windows = (await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+        .filter(win => !win.incognito && !exclusionState.pausedWindows.has(win.id));
+    const allTabs = windows.flatMap(win => win.tabs);
+
+    const { strategy, threshold } = getStrategy(await getSettings('grouping'));
+    const context = prepareStrategy(strategy, allTabs);
+
+    const groups = [];
+    for (const win of windows) {
+        for (const group of await chrome.tabGroups.query({ windowId: win.id })) {
+            groups.push({ ...group, tabs: win.tabs.filter(tab => tab.groupId === group.id) });
+        }
+    }
+
+    // Cluster related groups with a simple union-find
+    const parent = groups.map((_, index) => index);
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+    for (let i = 0; i < groups.length; i++) {
+        for (let j = i + 1; j < groups.length; j++) {
+            const sameTitle = groups[i].title && groups[i].title === groups[j].title;
+            if (sameTitle || strategy.compareGroups(groups[i], groups[j], context) > threshold) {
+                parent[find(j)] = find(i);
             }
         }
     }
+    const clusters = new Map();
+    groups.forEach((group, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, { groups: [], looseTabs: [] });
+        clusters.get(root).groups.push(group);
+    });
+
+    // Attach each ungrouped tab to the group holding its most similar tab
+    const ungroupedTabs = allTabs.filter(tab =>
+        tab.groupId === -1 && !tab.pinned && !isTabExcluded(tab, exclusions, exclusionState)
+    );
+    for (const tab of ungroupedTabs) {
+        let best = null;
+        groups.forEach((group, index) => {
+            const score = Math.max(0, ...group.tabs.map(other => strategy.compareTabs(tab, other, context)));
+            if (score > threshold && (!best || score > best.score)) {
+                best = { score, group, cluster: clusters.get(find(index)) };
+            }
+        });
+        if (best) best.cluster.looseTabs.push({ tab, group: best.group });
+    }
+
+    const summary = { movedGroups: 0, movedTabs: 0, closedWindows: 0, createdWindows: 0 };
+    const sourceWindows = new Set();
+    const clusterTabs = cluster => [...cluster.groups.flatMap(group => group.tabs), ...cluster.looseTabs.map(({ tab }) => tab)];
+    // Windows holding the cluster's tabs, most tabs first
+    const clusterWindows = cluster => {
+        const counts = new Map();
+        clusterTabs(cluster).forEach(tab => counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([windowId]) => windowId);
+    };
+    // Bigger topics pick their window first
+    const topics = [...clusters.values()].sort((a, b) => clusterTabs(b).length - clusterTabs(a).length);
+    const claimedWindows = new Set();
+
+    for (const cluster of topics) {
+        const windowIds = clusterWindows(cluster);
+        let target;
+        let placeholderTabId = null;
+        if (mode === 'perTopic') {
+            target = windowIds.find(windowId => !claimedWindows.has(windowId));
+            if (target === undefined) {
+                // The new window opens with a blank tab, closed once the topic has moved in
+                const created = await chrome.windows.create({ focused: false });
+                target = created.id;
+                placeholderTabId = created.tabs[0].id;
+                summary.createdWindows++;
+            }
+            claimedWindows.add(target);
+        } else {
+            // Topics already within one window are left where they are
+            if (windowIds.length < 2) continue;
+            target = targetWindowId ?? windowIds[0];
+        }
+
+        for (const group of cluster.groups) {
+            if (group.windowId === target) continue;
+            try {
+                await whileMovingTabs(group.tabs.map(tab => tab.id),
+                    () => chrome.tabGroups.move(group.id, { windowId: target, index: -1 }));
+                sourceWindows.add(group.windowId);
+                summary.movedGroups++;
+                summary.movedTabs += group.tabs.length;
+            } catch (error) {
+                console.error('Error moving group:', error);
+            }
+        }
+
+        for (const { tab, group } of cluster.looseTabs) {
+            try {
+                await whileMovingTabs([tab.id], async () => {
+                    if (tab.windowId !== target) {
+                        await chrome.tabs.move(tab.id, { windowId: target, index: -1 });
+                        sourceWindows.add(tab.windowId);
+                    }
+                    // Group ids survive moving a group between windows
+                    await chrome.tabs.group({ tabIds: tab.id, groupId: group.id });
+                });
+                summary.movedTabs++;
+            } catch (error) {
+                console.error('Error moving tab:', error);
+            }
+        }
+
+        if (placeholderTabId !== null) {
+            await chrome.tabs.remove(placeholderTabId).catch(() => {});
+        }
+    }
+
+    if (closeEmpty) {
+        for (const windowId of sourceWindows) {
+            const win = await chrome.windows.get(windowId, { populate: true }).catch(() => null);
+            // Chrome closes windows whose last tab moved; also close ones left with only blank tabs
+            if (win && win.tabs.every(tab => isBlankTab(tab))) {
+                await chrome.windows.remove(windowId);
+                summary.closedWindows++;
+            }
+        }
+    }
+
+    return summary;
+}
+
+// New tab and blank pages don't count as content worth keeping a window for
+function isBlankTab(tab) {
+    const url = tab.url || tab.pendingUrl || '';
+    return url === '' || url === 'about:blank' || url.startsWith('chrome://newtab');
+}
+
+// Apply the configured stopword lists before anything is tokenized
+async function applyTokenizerSettings() {
+    const { stopwordLanguages, customStopwords } = await getSettings('grouping');
+    configureTokenizer({ languages: stopwordLanguages, customStopwords });
+}
+
+// Rebuild the tab index with the current tokenizer settings
+function refreshTabIndex() {
+    return applyTokenizerSettings()
+        .then(rebuildTabIndex)
+        .catch(error => {
+            console.error('Error building tab index:', error);
+        });
+}
+
+// Index of open tabs used for grouping lookups, rebuilt whenever the service worker starts
+let tabIndexReady = refreshTabIndex();
+tabIndexReady.then(() => scheduleDuplicateBadge());
+
+// Debounce grouping per tab so a burst of updates during page load triggers a single pass
+const GROUPING_DELAY = 1000;
+const pendingGrouping = new Map();
+
+function scheduleGrouping(tabId) {
+    clearTimeout(pendingGrouping.get(tabId));
+    pendingGrouping.set(tabId, setTimeout(() => {
+        pendingGrouping.delete(tabId);
+        groupRelatedTabs(tabId);
+    }, GROUPING_DELAY));
+}
+
+// Autosave a recovery snapshot once tabs have settled after a change
+const AUTOSAVE_DELAY = 10000;
+let autosaveTimer = null;
+
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveSession, AUTOSAVE_DELAY);
+}
+
+async function autosaveSession() {
+    try {
+        const settings = await getSettings('autosave');
+        if (!settings.enabled) return;
+
+        const session = await captureSession('Autosave');
+        if (session.windows.every(win => win.tabs.length === 0)) return;
+        await saveRecoverySnapshot(session, settings.maxSnapshots);
+    } catch (error) {
+        console.error('Error autosaving session:', error);
+    }
+}
+
+// Changes in windows bound to a live session are captured into a draft in local storage shortly
+// after they happen, and written to the session in sync storage by the tracking flush alarm.
+// Sync storage allows 120 writes a minute and 1800 an hour for the whole extension, and writing a
+// session takes a write per chunk plus its index entry, so each run of the alarm writes a single
+// session: at most 30 session writes an hour however many sessions are live, a few hundred sync
+// writes at worst. The alarm is not pushed back by further changes, so a busy session is still
+// written every few minutes, and drafts survive service worker restarts.
+const TRACKING_DELAY = 2000;
+const TRACKING_FLUSH_ALARM = 'trackingFlush';
+const TRACKING_FLUSH_MINUTES = 2;
+const pendingTrackedUpdates = new Map();
+
+async function scheduleTrackedUpdate(windowId) {
+    const binding = await getWindowBinding(windowId);
+    if (!binding) return;
+
+    clearTimeout(pendingTrackedUpdates.get(binding.sessionKey));
+    pendingTrackedUpdates.set(binding.sessionKey, setTimeout(() => {
+        pendingTrackedUpdates.delete(binding.sessionKey);
+        captureTrackedSession(binding.sessionKey)
+            .then(scheduleTrackedFlush)
+            .catch(error => console.error('Error updating live session:', error));
+    }, TRACKING_DELAY));
 }
 
+// Recapture each bound window into the session's draft.
+// Windows that were closed keep their last captured state.
+async function captureTrackedSession(sessionKey) {
+    const windows = {};
+    for (const { windowId, windowIndex } of await getSessionBindings(sessionKey)) {
+        try {
+            const win = await chrome.windows.get(windowId, { populate: true });
+            windows[windowIndex] = await captureWindow(win, win.tabs.filter(tab => tab.url));
+        } catch (error) {
+            await unbindWindow(windowId);
+        }
+    }
+    if (Object.keys(windows).length > 0) await saveTrackedDraft(sessionKey, windows);
+}
+
+// A session with the windows of its draft in place
+function applyTrackedDraft(session, draft) {
+    if (!draft) return session;
+    const windows = [...session.windows];
+    for (const [windowIndex, windowData] of Object.entries(draft.windows)) {
+        windows[windowIndex] = windowData;
+    }
+    return {
+        ...session,
+        version: SESSION_FORMAT_VERSION,
+        windows: windows.map(upgradeWindowGroups),
+        updatedAt: draft.capturedAt
+    };
+}
+
+// Start the flush alarm unless it is already counting down
+async function scheduleTrackedFlush() {
+    if (await chrome.alarms.get(TRACKING_FLUSH_ALARM)) return;
+    if (await hasTrackedDrafts()) {
+        await chrome.alarms.create(TRACKING_FLUSH_ALARM, { delayInMinutes: TRACKING_FLUSH_MINUTES });
+    }
+}
+
+// Write the draft waiting longest to its session, or the given session's draft
+async function flushTrackedDraft(sessionKey = null) {
+    const taken = await takeTrackedDraft(sessionKey);
+    if (!taken) return;
+    const session = await getSession(taken.sessionKey);
+    if (!session) {
+        await unbindSession(taken.sessionKey);
+        return;
+    }
+    await putSession(taken.sessionKey, applyTrackedDraft(session, taken.draft), { coalesce: true });
+}
+
+// Keep the periodic autosave alarm in line with the settings
+async function configureAutosaveAlarm() {
+    const settings = await getSettings('autosave');
+    if (settings.enabled) {
+        await chrome.alarms.create('autosave', { periodInMinutes: settings.intervalMinutes });
+    } else {
+        await chrome.alarms.clear('autosave');
+    }
+}
+
+const RECOVERY_NOTIFICATION_ID = 'recoveryOffer';
+
+// Offer to restore the last snapshot taken before the browser was closed or crashed
+async function offerRecovery() {
+    const settings = await getSettings('autosave');
+    if (!settings.enabled || !settings.offerOnStartup) return;
+
+    const offer = await createRecoveryOffer();
+    if (!offer) return;
+    chrome.notifications.create(RECOVERY_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Restore previous browsing state?',
+        message: `${offer.tabCount} tabs in ${offer.windowCount} windows, saved ${new Date(offer.timestamp).toLocaleString()}`,
+        buttons: [{ title: 'Restore' }, { title: 'Dismiss' }],
+        requireInteraction: true
+    });
+}
+
+// Restore the offered snapshot into new windows
+async function restoreRecovery() {
+    const offer = await getRecoveryOffer();
+    await dismissRecovery();
+    if (!offer) return { restoredTabs: 0, skippedTabs: 0 };
+
+    const snapshot = await getRecoverySnapshot(offer.key);
+    if (!snapshot) throw new Error('The recovery snapshot is no longer available');
+    return restoreSessionData(snapshot);
+}
+
+async function dismissRecovery() {
+    await clearRecoveryOffer();
+    chrome.notifications.clear(RECOVERY_NOTIFICATION_ID);
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (notificationId !== RECOVERY_NOTIFICATION_ID) return;
+    const action = buttonIndex === 0 ? restoreRecovery() : dismissRecovery();
+    action.catch(error => console.error('Error handling recovery offer:', error));
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId !== RECOVERY_NOTIFICATION_ID) return;
+    restoreRecovery().catch(error => console.error('Error restoring previous state:', error));
+});
+
 // Listen for tab creation
 chrome.tabs.onCreated.addListener((tab) => {
-    setTimeout(() => groupRelatedTabs(tab.id), 1000); // Delay to allow page load
+    indexTab(tab);
+    scheduleGrouping(tab.id); // Delay to allow page load
+    scheduleAutosave();
+    scheduleTrackedUpdate(tab.windowId);
 });
 
 // Listen for tab updates
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined) {
+        indexTab(tab);
+    } else if (changeInfo.groupId !== undefined) {
+        updateIndexedTab(tabId, { groupId: changeInfo.groupId });
+    }
+
+    // A tab leaving its group while the extension isn't moving it is the user dragging it out
+    // (or undoing an automatic grouping, which should also keep the tab out of groups)
+    if (changeInfo.groupId === -1) {
+        if (!movingTabs.has(tabId)) setManuallyUngrouped(tabId, true);
+    } else if (changeInfo.groupId !== undefined) {
+        setManuallyUngrouped(tabId, false);
+    }
+
     if (changeInfo.url || changeInfo.title) {
-        groupRelatedTabs(tabId);
+        scheduleGrouping(tabId);
+    }
+    if (changeInfo.url) {
+        handleDuplicateTab(tabId);
+    }
+    if (changeInfo.url || changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
+        scheduleAutosave();
+    }
+    if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined ||
+        changeInfo.groupId !== undefined || changeInfo.mutedInfo) {
+        scheduleTrackedUpdate(tab.windowId);
+    }
+});
+
+chrome.tabs.onMoved.addListener((tabId, { windowId }) => {
+    scheduleAutosave();
+    scheduleTrackedUpdate(windowId);
+});
+
+chrome.tabGroups.onUpdated.addListener((group) => {
+    scheduleAutosave();
+    scheduleTrackedUpdate(group.windowId);
+});
+
+// Track when tabs were last used for the idle group suspender
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    recordTabActivity(tabId);
+});
+
+// Keep the tab index in step with tabs moving between windows or being replaced
+chrome.tabs.onAttached.addListener(async (tabId, { newWindowId }) => {
+    try {
+        indexTab(await chrome.tabs.get(tabId));
+    } catch (error) {
+        // The tab was closed right after moving
+        removeTab(tabId);
+    }
+    scheduleAutosave();
+    scheduleTrackedUpdate(newWindowId);
+});
+
+chrome.tabs.onDetached.addListener((tabId, { oldWindowId }) => {
+    scheduleTrackedUpdate(oldWindowId);
+});
+
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+    removeTab(removedTabId);
+    try {
+        indexTab(await chrome.tabs.get(addedTabId));
+    } catch (error) {
+        console.warn(`Could not index replacing tab ${addedTabId}:`, error);
+    }
+});
+
+// Forget index entries and exclusion state for closed tabs and windows
+chrome.tabs.onRemoved.addListener((tabId, { windowId, isWindowClosing }) => {
+    clearTimeout(pendingGrouping.get(tabId));
+    pendingGrouping.delete(tabId);
+    removeTab(tabId);
+    setManuallyUngrouped(tabId, false);
+    forgetTabActivity(tabId);
+    scheduleDuplicateBadge();
+    // Windows closing one by one at shutdown would overwrite the snapshot worth recovering
+    if (!isWindowClosing) {
+        scheduleAutosave();
+        scheduleTrackedUpdate(windowId);
+    }
+});
+
+// A closed window stops tracking; its session keeps the window's last captured state
+chrome.windows.onRemoved.addListener((windowId) => {
+    setWindowPaused(windowId, false);
+    unbindWindow(windowId);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    resetExclusionState();
+    clearJournal();
+    resetSuspenderState();
+    resetTracking();
+    // Changes captured before the browser closed are still waiting to be written
+    scheduleTrackedFlush();
+    offerRecovery().catch(error => console.error('Error offering recovery:', error));
+    configureAutosaveAlarm();
+});
+
+// Keyboard shortcut for reverting the most recent automatic groupings
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command === 'undo-grouping') {
+        const { undoCount } = await getSettings('journal');
+        const { undone } = await undoGroupings(undoCount);
+        console.log(`Undid ${undone} grouping operations`);
     }
 });
 
@@ -226,22 +1439,197 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'saveSession':
-            saveSession(request.name)
+            saveSession(request.name, null, { track: !!request.track })
                 .then(key => {
-                    cleanupOldSessions();
+                    applyRetention();
                     sendResponse(key);
+                })
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'listSessions':
+            listSessions()
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error listing sessions:', error);
+                    sendResponse([]);
+                });
+            return true;
+        case 'searchSessions':
+            sessionsReady
+                .then(() => searchSessions(request.query))
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error searching sessions:', error);
+                    sendResponse([]);
+                });
+            return true;
+        case 'listSessionVersions':
+            listSessionVersions(request.sessionKey)
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error listing session versions:', error);
+                    sendResponse([]);
+                });
+            return true;
+        case 'diffSessionVersions':
+            diffSessionVersions(request.sessionKey, request.from, request.to)
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error comparing session versions:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        case 'revertSession':
+            revertSession(request.sessionKey, request.versionId)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    console.error('Error reverting session:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        case 'updateSession':
+            updateSession(request.sessionKey, request.edits || [])
+                .then(session => sendResponse({ session }))
+                .catch(error => {
+                    console.error('Error updating session:', error);
+                    sendResponse({ error: error.message });
                 });
             return true;
+        case 'transferTabs':
+            transferTabs(request.sessionKey, request.targetKey, request.tabs || [], { copy: !!request.copy })
+                .then(session => sendResponse({ session }))
+                .catch(error => {
+                    console.error('Error transferring tabs:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        case 'untrackSession':
+            // Keep the changes made up to now before the session stops following its windows
+            flushTrackedDraft(request.sessionKey)
+                .then(() => unbindSession(request.sessionKey))
+                .then(() => sendResponse(true));
+            return true;
+        case 'trashSession':
+            trashSession(request.sessionKey)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'trashProfile':
+            trashProfile(`profile_${request.profileName}_${getMainDomain(request.domain)}`)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'getRetentionReport':
+            getRetentionReport(request.rules)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'getLastRetentionReport':
+            getLastRetentionReport().then(sendResponse);
+            return true;
+        case 'applyRetention':
+            applyRetention()
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'listTrash':
+            getTrash()
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error listing trash:', error);
+                    sendResponse([]);
+                });
+            return true;
+        case 'purgeTrash':
+            purgeFromTrash(request.ids)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'restoreFromTrash':
+            restoreFromTrash(request.id)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+        case 'getSession':
+            getSession(request.sessionKey)
+                .then(session => sendResponse(session && {
+                    ...session,
+                    windows: session.windows.map(upgradeWindowGroups)
+                }))
+                .catch(error => {
+                    console.error('Error loading session:', error);
+                    sendResponse(null);
+                });
+            return true;
+        case 'getRecoveryOffer':
+            getRecoveryOffer().then(sendResponse);
+            return true;
+        case 'restoreRecovery':
+            restoreRecovery()
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error restoring previous state:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        case 'dismissRecovery':
+            dismissRecovery().then(() => sendResponse(true));
+            return true;
         case 'restoreSession':
-            restoreSession(request.sessionKey).then(() => sendResponse(true));
+            restoreSession(request.sessionKey, request.options)
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error restoring session:', error);
+                    sendResponse({ error: error.message });
+                });
             return true;
         case 'mergeGroups':
             chrome.windows.getCurrent()
                 .then(window => mergeRelatedGroups(window.id))
-                .then(() => sendResponse(true));
+                .then(sendResponse);
+            return true;
+        case 'planMerge':
+            chrome.windows.getCurrent()
+                .then(window => mergeRelatedGroups(window.id, { plan: true }))
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error planning merge:', error);
+                    sendResponse([]);
+                });
             return true;
-        case 'exportSession':
-            exportSession(request.sessionKey).then(sendResponse);
+        case 'applyMerge':
+            chrome.windows.getCurrent()
+                .then(window => applyGroupMerges(window.id, request.merges || []))
+                .then(sendResponse)
+                .catch(error => sendResponse({ merged: [], error: error.message }));
+            return true;
+        case 'consolidateWindows':
+            chrome.windows.getCurrent()
+                .then(window => consolidateWindows({
+                    mode: request.mode,
+                    targetWindowId: request.mode === 'perTopic' ? undefined : window.id,
+                    closeEmpty: request.closeEmpty
+                }))
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Error consolidating windows:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        case 'closeDuplicates':
+            closeDuplicateTabs()
+                .then(sendResponse)
+                .catch(error => sendResponse({ closed: 0, error: error.message }));
+            return true;
+        case 'undoGrouping':
+            undoGroupings(request.count)
+                .then(sendResponse)
+                .catch(error => sendResponse({ undone: 0, error: error.message }));
+            return true;
+        case 'exportSessions':
+            exportSessions(request.sessionKeys, request.format)
+                .then(sendResponse)
+                .catch(error => sendResponse({ error: error.message }));
             return true;
         case 'importSession':
             importSession(request.data).then(sendResponse);
@@ -273,84 +1661,90 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
-let lastSyncTime = 0;
-const SYNC_INTERVAL = 1000 * 60; // 1 minute
-
 // Sync state with other instances
 chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync') {
-        for (let [key, { oldValue, newValue }] of Object.entries(changes)) {
-            if (key.startsWith('session_') && newValue && Date.now() - lastSyncTime > SYNC_INTERVAL) {
-                // Update local state when remote changes are detected
-                updateSessionState(key, newValue);
-            }
+    // Index keys depend on the stopword lists, so re-index when they change
+    const groupingChange = namespace === 'sync' && changes.settings_grouping;
+    if (groupingChange) {
+        const { oldValue = {}, newValue = {} } = groupingChange;
+        if (JSON.stringify([oldValue.stopwordLanguages, oldValue.customStopwords]) !==
+            JSON.stringify([newValue.stopwordLanguages, newValue.customStopwords])) {
+            tabIndexReady = refreshTabIndex();
         }
     }
-});
 
-async function updateSessionState(key, session) {
-    lastSyncTime = Date.now();
-    const currentWindow = await chrome.windows.getCurrent({ populate: true });
-    
-    // Check if this session is currently active in this window
-    const activeSessionKey = await chrome.storage.local.get('activeSession');
-    if (activeSessionKey?.activeSession === key) {
-        // Update group titles and colors if they changed
-        for (const windowData of session.windows) {
-            for (const group of windowData.groups) {
-                const existingGroup = await chrome.tabGroups.query({
-                    windowId: currentWindow.id,
-                    title: group.title
+    if (namespace === 'sync' && changes.settings_autosave) {
+        configureAutosaveAlarm();
+    }
+
+    // The session index may be stored in chunks, so watch for any of its keys
+    if (namespace === 'sync' && Object.keys(changes).some(key => key.startsWith(SESSION_INDEX_KEY))) {
+        scheduleSearchIndexSync();
+    }
+
+    // Stop tracking sessions deleted here or on another device. A session switching between
+    // chunked and plain storage also drops a key, so check that neither form is left.
+    if (namespace === 'sync') {
+        for (const [key, { newValue }] of Object.entries(changes)) {
+            const sessionKey = key.match(SESSION_KEY_PATTERN)?.[1];
+            if (sessionKey && newValue === undefined) {
+                chrome.storage.sync.get([sessionKey, `${sessionKey}_meta`]).then(stored => {
+                    if (Object.keys(stored).length === 0) unbindSession(sessionKey);
                 });
-                
-                if (existingGroup.length > 0) {
-                    await chrome.tabGroups.update(existingGroup[0].id, {
-                        color: group.color
-                    });
-                }
             }
         }
     }
+});
+
+// Convert to base64 for easy sharing
+async function encodeExport(exportData) {
+    const blob = new Blob([JSON.stringify(exportData)], {type: 'application/json'});
+    return await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result.split(',')[1]);
+        reader.readAsDataURL(blob);
+    });
 }
 
-// Export the current window state as a sharable session
-async function exportSession(sessionKey) {
-    const data = await chrome.storage.sync.get(sessionKey);
-    const session = data[sessionKey];
-    
-    if (session) {
-        // Create a shareable format
-        const exportData = {
-            version: "1.0",
-            timestamp: Date.now(),
-            session: session
-        };
-        
-        // Convert to base64 for easy sharing
-        const blob = new Blob([JSON.stringify(exportData)], {type: 'application/json'});
-        return await new Promise(resolve => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(reader.result.split(',')[1]);
-            reader.readAsDataURL(blob);
-        });
+// Export one or more sessions in any of the EXPORT_FORMATS; returns { data, mimeType, extension }.
+// Several sessions in JSON share one file with a sessions list instead of a single session.
+async function exportSessions(sessionKeys, format = 'json') {
+    const details = EXPORT_FORMATS[format];
+    if (!details) throw new Error(`Unknown export format: ${format}`);
+    if (sessionKeys.length === 0) throw new Error('No sessions to export');
+
+    // Throws for sessions deleted since the list was shown rather than exporting nothing for them
+    const sessions = [];
+    for (const key of sessionKeys) {
+        sessions.push(await getUpgradedSession(key));
+    }
+
+    let data;
+    if (format === 'json') {
+        data = await encodeExport(sessions.length === 1
+            ? { version: "1.0", timestamp: Date.now(), session: sessions[0] }
+            : { version: "1.0", timestamp: Date.now(), sessions });
+    } else {
+        data = formatSessions(sessions, format);
     }
-    return null;
+    return { data, mimeType: details.mimeType, extension: details.extension };
 }
 
-// Import a shared session
+// Import a shared session, or sessions from another tool (see import-formats.js).
+// encodedData is the file as base64; returns { format, keys } of the imported sessions.
 async function importSession(encodedData) {
     try {
-        const jsonStr = atob(encodedData);
-        const importData = JSON.parse(jsonStr);
-        
-        if (importData.version === "1.0" && importData.session) {
-            const key = `session_${Date.now()}`;
-            await chrome.storage.sync.set({ [key]: importData.session });
-            return key;
+        const { format, sessions } = parseImport(decodeBase64(encodedData));
+        const keys = [];
+        for (const session of sessions) {
+            const key = newSessionKey();
+            await putSession(key, session);
+            keys.push(key);
         }
+        return { format: IMPORT_FORMAT_NAMES[format], keys };
     } catch (error) {
         console.error('Error importing session:', error);
-        return null;
+        return { error: error.message };
     }
 }
 
@@ -793,25 +2187,15 @@ async function cleanupStorage() {
     try {
         // Get all stored items
         const storage = await chrome.storage.sync.get(null);
-        const now = Date.now();
-        const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
         
-        // Find old chunks and orphaned chunks
+        // Find orphaned chunks; unused profiles are purged by the retention policy
         const toRemove = [];
         const profileKeys = new Set();
         
-        // First pass: collect profile keys and find old items
-        for (const [key, value] of Object.entries(storage)) {
+        // First pass: collect profile keys
+        for (const key of Object.keys(storage)) {
             if (key.startsWith('profile_')) {
                 profileKeys.add(key);
-                // Remove profiles older than 30 days that haven't been accessed
-                if (value.lastAccessed && (now - value.lastAccessed > maxAge)) {
-                    toRemove.push(key);
-                    // Also remove any associated chunks
-                    if (value.isChunked && value.chunkKeys) {
-                        toRemove.push(...value.chunkKeys);
-                    }
-                }
             }
         }
         
@@ -1014,11 +2398,28 @@ chrome.runtime.onInstalled.addListener(() => {
     chrome.alarms.create('storageCleanup', {
         periodInMinutes: 24 * 60
     });
+    // Check for idle groups every few minutes
+    chrome.alarms.create('groupSuspender', {
+        periodInMinutes: 5
+    });
+    configureAutosaveAlarm();
 });
 
-chrome.alarms.onAlarm.addListener((alarm) => {
+chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'storageCleanup') {
-        cleanupStorage();
+        await cleanupStorage();
+        await applyRetention();
+    } else if (alarm.name === 'groupSuspender') {
+        const settings = await getSettings('suspender');
+        if (settings.enabled) {
+            const summary = await suspendIdleGroups(settings);
+            console.log(`Suspended ${summary.suspendedGroups} idle groups, discarded ${summary.discardedTabs} tabs`);
+        }
+    } else if (alarm.name === 'autosave') {
+        await autosaveSession();
+    } else if (alarm.name === TRACKING_FLUSH_ALARM) {
+        await flushTrackedDraft().catch(error => console.error('Error updating live session:', error));
+        await scheduleTrackedFlush();
     }
 });
 
@@ -1039,30 +2440,13 @@ async function saveProfileState(profileName, domain) {
             const mainDomain = getMainDomain(domain);
             const profileKey = `profile_${profileName}_${mainDomain}`;
             
-            // Compress the data
-            const compressed = await compressData(originalData);
-            console.log('Data compressed successfully');
-
-            // Save compressed data in chunks if needed
-            if (compressed.length > CHROME_SYNC_QUOTA_BYTES_PER_ITEM) {
-                console.log('Using chunked storage for large compressed data');
-                await saveWithChunks(profileKey, originalData);
-            } else {
-                // Save as single compressed item
-                await chrome.storage.local.set({ [profileKey]: compressed });
-            }
+            await storeProfileData(profileKey, originalData);
 
-            // Update domain profiles list
-            const domainKey = `domain_profiles_${mainDomain}`;
-            const existingProfiles = await storageGet(domainKey) || [];
-            
-            if (!existingProfiles.some(p => p.name === profileName)) {
-                existingProfiles.push({
-                    name: profileName,
-                    timestamp: Date.now()
-                });
-                await storageSet(domainKey, existingProfiles);
-            }
+            // Update domain profiles list; saving a profile counts as using it
+            const now = Date.now();
+            await updateDomainProfiles(mainDomain, profiles => profiles.some(p => p.name === profileName)
+                ? profiles.map(p => p.name === profileName ? { ...p, lastAccessed: now } : p)
+                : [...profiles, { name: profileName, timestamp: now, lastAccessed: now }]);
 
             return { success: true };
         } catch (error) {
@@ -1089,16 +2473,7 @@ async function switchProfile(profileName, domain) {
         // Get profile data
         const profileKey = `profile_${profileName}_${mainDomain}`;
         
-        // Try loading chunked data first
-        let profile = await loadFromChunks(profileKey);
-        
-        // If not chunked, try regular compressed storage
-        if (!profile) {
-            const compressed = await chrome.storage.local.get(profileKey);
-            if (compressed[profileKey]) {
-                profile = await decompressData(compressed[profileKey]);
-            }
-        }
+        const profile = await loadProfileData(profileKey);
 
         if (!profile) {
             throw new Error(`Profile "${profileName}" not found for ${mainDomain}`);
@@ -1175,6 +2550,9 @@ async function switchProfile(profileName, domain) {
             domain: mainDomain,
             timestamp: Date.now()
         });
+        // Retention rules age profiles by when they were last used
+        await updateDomainProfiles(mainDomain, profiles => profiles.map(p =>
+            p.name === profileName ? { ...p, lastAccessed: Date.now() } : p));
 
         return true;
     } catch (error) {
@@ -1183,12 +2561,102 @@ async function switchProfile(profileName, domain) {
     }
 }
 
+// Profile data is stored compressed in local storage, or in sync storage chunks when too large
+async function storeProfileData(profileKey, data) {
+    const compressed = await compressData(data);
+    console.log('Data compressed successfully');
+
+    if (compressed.length > CHROME_SYNC_QUOTA_BYTES_PER_ITEM) {
+        console.log('Using chunked storage for large compressed data');
+        await saveWithChunks(profileKey, data);
+    } else {
+        await chrome.storage.local.set({ [profileKey]: compressed });
+    }
+}
+
+async function loadProfileData(profileKey) {
+    // Try loading chunked data first
+    const chunked = await loadFromChunks(profileKey);
+    if (chunked) return chunked;
+
+    const compressed = await chrome.storage.local.get(profileKey);
+    return compressed[profileKey] ? decompressData(compressed[profileKey]) : null;
+}
+
+async function deleteProfileData(profileKey) {
+    await chrome.storage.local.remove(profileKey);
+    await storageRemove(profileKey);
+}
+
+const DOMAIN_PROFILES_PATTERN = /^domain_profiles_(.+?)(?:_meta|_chunk_\d+)?$/;
+
+// Profiles saved for a domain as [{ name, timestamp, lastAccessed }]
+async function getDomainProfiles(domain) {
+    const profiles = await storageGet(`domain_profiles_${domain}`).catch(() => null);
+    // Lists in the older { profiles, lastUpdated } format can't be read this way
+    return Array.isArray(profiles) ? profiles : [];
+}
+
+// Rewrite a domain's profile list; update returns the new list, or null to leave it unchanged
+async function updateDomainProfiles(domain, update) {
+    const updated = update(await getDomainProfiles(domain));
+    if (updated) await storageSet(`domain_profiles_${domain}`, updated);
+}
+
+// Every saved profile as { key, domain, name, timestamp, lastAccessed }
+async function listProfiles() {
+    const storage = await chrome.storage.sync.get(null);
+    const domains = new Set(Object.keys(storage)
+        .map(key => key.match(DOMAIN_PROFILES_PATTERN)?.[1])
+        .filter(Boolean));
+
+    const profiles = [];
+    for (const domain of domains) {
+        for (const entry of await getDomainProfiles(domain)) {
+            profiles.push({ key: `profile_${entry.name}_${domain}`, domain, ...entry });
+        }
+    }
+    return profiles;
+}
+
+// Profiles saved before their use was recorded start aging now rather than from when they were created
+async function migrateProfiles() {
+    const now = Date.now();
+    const domains = new Set((await listProfiles()).filter(p => !p.lastAccessed).map(p => p.domain));
+    for (const domain of domains) {
+        await updateDomainProfiles(domain, profiles => profiles.map(p => p.lastAccessed ? p : { ...p, lastAccessed: now }));
+    }
+}
+
+migrateProfiles().catch(error => {
+    console.error('Error migrating profiles:', error);
+});
+
 // Import compression utilities
 let LZMA;
 importScripts('./lib/lzma_worker.min.js');
 
 // Import utility functions
-import { compressData, decompressData, storageSet, storageGet, saveWithChunks, loadFromChunks, getMainDomain } from './utils.js';
+import { compressData, decompressData, storageSet, storageGet, storageRemove, saveWithChunks, loadFromChunks, getMainDomain, normalizeUrl } from './utils.js';
+import { findCommonTerms, getStrategy, prepareStrategy, prepareStrategyFromIndex } from './grouping.js';
+import { configureTokenizer } from './tokenizer.js';
+import { tabIndex, indexTab, removeTab, updateIndexedTab, getWindowTabs, findCandidates, rebuildTabIndex } from './tab-index.js';
+import { getSettings } from './settings.js';
+import { findMatchingRule, loadRules } from './rules.js';
+import { recordTabActivity, forgetTabActivity, resetSuspenderState, suspendIdleGroups } from './suspender.js';
+import { queueTabLoads } from './lazy-restore.js';
+import { captureWindow, upgradeWindowGroups, restoreWindow, restoreTabs, isRestoring, whileRestoring } from './session-windows.js';
+import { bindWindow, unbindWindow, unbindSession, getWindowBinding, getSessionBindings, getLiveSessionKeys, saveTrackedDraft, getTrackedDraft, takeTrackedDraft, hasTrackedDrafts, resetTracking } from './tracking.js';
+import { recordVersion, listVersions, getVersion, deleteHistory, diffSessions } from './history.js';
+import { applySessionEdits, extractTabs, appendTabs } from './session-edits.js';
+import { indexSession, removeFromSearchIndex, getIndexedSessions, searchSessions } from './search.js';
+import { validateRetentionRules, evaluateRetention } from './retention.js';
+import { EXPORT_FORMATS, formatSessions } from './export-formats.js';
+import { IMPORT_FORMAT_NAMES, decodeBase64, parseImport } from './import-formats.js';
+import { moveToTrash, listTrash, getTrashItem, purgeTrash, expireTrash } from './trash.js';
+import { saveRecoverySnapshot, getRecoverySnapshot, createRecoveryOffer, getRecoveryOffer, clearRecoveryOffer } from './recovery.js';
+import { recordGrouping, takeRecentGroupings, clearJournal } from './journal.js';
+import { isGroupableUrl, getExclusionState, isTabExcluded, setWindowPaused, setManuallyUngrouped, resetExclusionState } from './exclusions.js';
 
 // Initialize LZMA asynchronously
 let LZMA_WORKER = null;
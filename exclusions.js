@@ -0,0 +1,97 @@
+const PAUSED_WINDOWS_KEY = 'pausedWindows';
+const MANUALLY_UNGROUPED_KEY = 'manuallyUngroupedTabs';
+
+// Only regular web pages are grouped automatically (no chrome://, extension or file pages)
+function isGroupableUrl(url) {
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Check a URL against the blocklist; entries also cover their subdomains
+function isDomainBlocked(url, blockedDomains = []) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    return blockedDomains.some(entry => {
+        const domain = entry.trim().toLowerCase().replace(/^\*\./, '');
+        return domain && (hostname === domain || hostname.endsWith(`.${domain}`));
+    });
+}
+
+// Load the runtime exclusion state kept in local storage
+async function getExclusionState() {
+    const data = await chrome.storage.local.get([PAUSED_WINDOWS_KEY, MANUALLY_UNGROUPED_KEY]);
+    return {
+        pausedWindows: new Set(data[PAUSED_WINDOWS_KEY] || []),
+        manuallyUngrouped: new Set(data[MANUALLY_UNGROUPED_KEY] || [])
+    };
+}
+
+// Decide whether a tab must be left alone by automatic grouping
+function isTabExcluded(tab, exclusions, state) {
+    if (!isGroupableUrl(tab.url)) return true;
+    if (state.pausedWindows.has(tab.windowId)) return true;
+    if (exclusions.skipPinned && tab.pinned) return true;
+    if (exclusions.respectManualUngroup && state.manuallyUngrouped.has(tab.id)) return true;
+    return isDomainBlocked(tab.url, exclusions.blockedDomains);
+}
+
+// Serialize list updates so concurrent tab events don't overwrite each other
+let idListUpdates = Promise.resolve();
+
+// Add or remove an id from one of the persisted id lists
+function updateIdList(key, id, include) {
+    idListUpdates = idListUpdates.then(async () => {
+        const data = await chrome.storage.local.get(key);
+        const ids = new Set(data[key] || []);
+        if (ids.has(id) === include) return;
+
+        if (include) {
+            ids.add(id);
+        } else {
+            ids.delete(id);
+        }
+        await chrome.storage.local.set({ [key]: Array.from(ids) });
+    }).catch(error => {
+        console.error('Error updating exclusion state:', error);
+    });
+    return idListUpdates;
+}
+
+// Pause or resume automatic grouping for a window
+async function setWindowPaused(windowId, paused) {
+    await updateIdList(PAUSED_WINDOWS_KEY, windowId, paused);
+}
+
+async function isWindowPaused(windowId) {
+    const state = await getExclusionState();
+    return state.pausedWindows.has(windowId);
+}
+
+// Remember that the user took a tab out of its group
+async function setManuallyUngrouped(tabId, ungrouped) {
+    await updateIdList(MANUALLY_UNGROUPED_KEY, tabId, ungrouped);
+}
+
+// Window and tab ids are not stable across browser restarts
+async function resetExclusionState() {
+    await chrome.storage.local.remove([PAUSED_WINDOWS_KEY, MANUALLY_UNGROUPED_KEY]);
+}
+
+export {
+    isGroupableUrl,
+    isDomainBlocked,
+    getExclusionState,
+    isTabExcluded,
+    setWindowPaused,
+    isWindowPaused,
+    setManuallyUngrouped,
+    resetExclusionState
+};
@@ -0,0 +1,148 @@
+// Text formats sessions can be exported in. Formatters take sessions in the current
+// (local group id) format and return the file contents as a string.
+const EXPORT_FORMATS = {
+    json: { label: 'Session file (JSON)', extension: 'json', mimeType: 'application/json' },
+    html: { label: 'Bookmarks (HTML)', extension: 'html', mimeType: 'text/html' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    urls: { label: 'URL list', extension: 'txt', mimeType: 'text/plain' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// A window's tabs split into runs of consecutive tabs sharing a group (null when ungrouped)
+function groupRuns(win) {
+    const runs = [];
+    win.tabs.forEach(tab => {
+        const last = runs[runs.length - 1];
+        if (last && last.groupId === tab.group) {
+            last.tabs.push(tab);
+        } else {
+            runs.push({ groupId: tab.group, group: win.groups.find(group => group.id === tab.group) || null, tabs: [tab] });
+        }
+    });
+    return runs;
+}
+
+// Netscape bookmark file, the format every browser's bookmark import reads.
+// Each session is a folder holding a folder per window, with a subfolder per tab group.
+function toBookmarksHtml(sessions) {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+    const indent = depth => '    '.repeat(depth);
+    const openFolder = (depth, title, addDate, attributes = '') => {
+        lines.push(`${indent(depth)}<DT><H3 ADD_DATE="${addDate}"${attributes}>${escapeHtml(title)}</H3>`);
+        lines.push(`${indent(depth)}<DL><p>`);
+    };
+    const closeFolder = depth => lines.push(`${indent(depth)}</DL><p>`);
+
+    sessions.forEach(session => {
+        const addDate = Math.floor((session.timestamp || Date.now()) / 1000);
+        openFolder(1, session.name, addDate);
+        session.windows.forEach((win, windowIndex) => {
+            openFolder(2, `Window ${windowIndex + 1}`, addDate);
+            groupRuns(win).forEach(run => {
+                const depth = run.group ? 4 : 3;
+                // Group colors aren't part of the format; browsers ignore the extra attribute
+                if (run.group) openFolder(3, run.group.title || 'Untitled group', addDate, ` COLOR="${run.group.color}"`);
+                run.tabs.forEach(tab => {
+                    lines.push(`${indent(depth)}<DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`);
+                });
+                if (run.group) closeFolder(3);
+            });
+            closeFolder(2);
+        });
+        closeFolder(1);
+    });
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+// Markdown with a heading per session, window and tab group, and a link per tab.
+// Ungrouped tabs that follow a group get an "Ungrouped" heading so they don't read as part of it.
+function toMarkdown(sessions) {
+    const sections = sessions.map(session => {
+        const lines = [`# ${escapeMarkdown(session.name)}`, ''];
+        session.windows.forEach((win, windowIndex) => {
+            lines.push(`## Window ${windowIndex + 1}`, '');
+            groupRuns(win).forEach((run, runIndex) => {
+                if (run.group) {
+                    lines.push(`### ${escapeMarkdown(run.group.title || 'Untitled group')} (${run.group.color})`, '');
+                } else if (runIndex > 0) {
+                    lines.push('### Ungrouped', '');
+                }
+                run.tabs.forEach(tab => {
+                    // Angle brackets keep spaces and parentheses in URLs from ending the link
+                    lines.push(`- [${escapeMarkdown(tab.title || tab.url)}](<${tab.url.replace(/[<>]/g, encodeURIComponent)}>)`);
+                });
+                lines.push('');
+            });
+        });
+        return lines.join('\n');
+    });
+    return sections.join('\n');
+}
+
+// One URL per line, with a blank line between windows
+function toUrlList(sessions) {
+    return sessions
+        .flatMap(session => session.windows.map(win => win.tabs.map(tab => tab.url).join('\n')))
+        .join('\n\n') + '\n';
+}
+
+// Spreadsheets run cells starting with these as formulas, so such cells get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+    let text = String(value ?? '');
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A row per tab; windows are numbered from 1 within their session
+function toCsv(sessions) {
+    const rows = [['title', 'url', 'group', 'window', 'session']];
+    sessions.forEach(session => {
+        session.windows.forEach((win, windowIndex) => {
+            win.tabs.forEach(tab => {
+                const group = win.groups.find(other => other.id === tab.group);
+                rows.push([tab.title || '', tab.url, group ? group.title : '', windowIndex + 1, session.name]);
+            });
+        });
+    });
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+const FORMATTERS = {
+    html: toBookmarksHtml,
+    markdown: toMarkdown,
+    urls: toUrlList,
+    csv: toCsv
+};
+
+// Export sessions in one of the text formats; JSON exports are encoded by the caller
+function formatSessions(sessions, format) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new Error(`Unknown export format: ${format}`);
+    return formatter(sessions);
+}
+
+export {
+    EXPORT_FORMATS,
+    formatSessions
+};
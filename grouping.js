@@ -0,0 +1,253 @@
+import { getMainDomain } from './utils.js';
+import { tokenize, tokenizeUrl, isSignificantTerm } from './tokenizer.js';
+
+const DEFAULT_STRATEGY = 'heuristic';
+
+// Share of words two token lists have in common
+function tokenSimilarity(words1, words2) {
+    const longest = Math.max(words1.length, words2.length);
+    if (longest === 0) return 0;
+    const intersection = words1.filter(word => words2.includes(word));
+    return intersection.length / longest;
+}
+
+// Calculate similarity between two strings
+function calculateSimilarity(str1, str2) {
+    return tokenSimilarity(tokenize(str1), tokenize(str2));
+}
+
+// Calculate similarity between two URLs, ignoring scheme and domain suffix noise
+function calculateUrlSimilarity(url1, url2) {
+    return tokenSimilarity(tokenizeUrl(url1), tokenizeUrl(url2));
+}
+
+// Find common terms between tabs for group title
+function findCommonTerms(tabs) {
+    const allTerms = new Map();
+    tabs.forEach(tab => {
+        // Count each term once per tab
+        const terms = new Set(tokenize(tab.title || ''));
+        terms.forEach(term => {
+            if (isSignificantTerm(term)) { // Ignore short and numeric terms
+                allTerms.set(term, (allTerms.get(term) || 0) + 1);
+            }
+        });
+    });
+    return Array.from(allTerms.entries())
+        .filter(([_, count]) => count >= tabs.length / 2)
+        .map(([term]) => term);
+}
+
+// Registrable domain of a tab URL, or null for pages without a hostname
+function getRegistrableDomain(url) {
+    try {
+        const { hostname } = new URL(url);
+        return hostname ? getMainDomain(hostname) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Most frequent registrable domain among a set of tabs
+function getDominantDomain(tabs) {
+    const counts = new Map();
+    for (const tab of tabs) {
+        const domain = getRegistrableDomain(tab.url);
+        if (domain) counts.set(domain, (counts.get(domain) || 0) + 1);
+    }
+    let dominant = null;
+    for (const [domain, count] of counts) {
+        if (!dominant || count > counts.get(dominant)) dominant = domain;
+    }
+    return dominant;
+}
+
+// Follow openerTabId links back to the first tab of the chain
+function getLineageRoot(tab, tabsById) {
+    const visited = new Set();
+    let current = tab;
+    while (current.openerTabId !== undefined && tabsById.has(current.openerTabId)) {
+        if (visited.has(current.id)) break; // Guard against opener cycles
+        visited.add(current.id);
+        current = tabsById.get(current.openerTabId);
+    }
+    return current.id;
+}
+
+// Term frequencies of a text
+function termFrequencies(text) {
+    const counts = new Map();
+    for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+}
+
+// Inverse document frequency from a document count
+function idfWeight(documentCount, totalDocuments) {
+    return Math.log((1 + totalDocuments) / (1 + documentCount)) + 1;
+}
+
+// Inverse document frequencies over the given documents
+function buildIdf(documents) {
+    const documentCounts = new Map();
+    for (const document of documents) {
+        for (const term of termFrequencies(document).keys()) {
+            documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+        }
+    }
+    const idf = new Map();
+    for (const [term, count] of documentCounts) {
+        idf.set(term, idfWeight(count, documents.length));
+    }
+    return idf;
+}
+
+// Cosine similarity of two texts weighted by TF-IDF
+function tfidfCosine(text1, text2, idf) {
+    const weigh = text => {
+        const vector = new Map();
+        for (const [term, count] of termFrequencies(text)) {
+            vector.set(term, count * (idf.get(term) || 1));
+        }
+        return vector;
+    };
+    const vector1 = weigh(text1);
+    const vector2 = weigh(text2);
+
+    let dot = 0;
+    for (const [term, weight] of vector1) {
+        dot += weight * (vector2.get(term) || 0);
+    }
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+    const denominator = norm(vector1) * norm(vector2);
+    return denominator ? dot / denominator : 0;
+}
+
+// Text describing a group for title-based comparisons
+function groupDocument(group) {
+    return [group.title || '', ...group.tabs.map(tab => tab.title || '')].join(' ');
+}
+
+// Built-in grouping strategies.
+// compareTabs(tab, other, context) and compareGroups(group, other, context) return a
+// score between 0 and 1; pairs scoring above the threshold are considered related.
+// Groups are passed as { id, title, color, tabs }. prepare(tabs) builds the shared
+// context from every tab under consideration.
+// candidateKeys(tab) lists the tab index keys a related tab must share, and
+// prepareFromIndex(index, windowId) builds the context from the tab index instead of a tab list.
+const GROUPING_STRATEGIES = {
+    heuristic: {
+        label: 'Word overlap (URL and title)',
+        threshold: 0.5,
+        compareTabs(tab, other) {
+            const urlSimilarity = calculateUrlSimilarity(tab.url || '', other.url || '');
+            const titleSimilarity = calculateSimilarity(tab.title || '', other.title || '');
+            return Math.max(urlSimilarity, titleSimilarity);
+        },
+        compareGroups(group, other) {
+            return calculateSimilarity(group.title || '', other.title || '');
+        },
+        candidateKeys(tab) {
+            const words = new Set([...tokenizeUrl(tab.url || ''), ...tokenize(tab.title || '')]);
+            return Array.from(words, word => `word:${word}`);
+        }
+    },
+    domain: {
+        label: 'Same site',
+        threshold: 0.5,
+        compareTabs(tab, other) {
+            const domain = getRegistrableDomain(tab.url);
+            return domain && domain === getRegistrableDomain(other.url) ? 1 : 0;
+        },
+        compareGroups(group, other) {
+            const domain = getDominantDomain(group.tabs);
+            return domain && domain === getDominantDomain(other.tabs) ? 1 : 0;
+        },
+        candidateKeys(tab) {
+            const domain = getRegistrableDomain(tab.url);
+            return domain ? [`domain:${domain}`] : [];
+        }
+    },
+    opener: {
+        label: 'Opened from the same tab',
+        threshold: 0.5,
+        prepare(tabs) {
+            return { tabsById: new Map(tabs.map(tab => [tab.id, tab])) };
+        },
+        compareTabs(tab, other, context) {
+            return getLineageRoot(tab, context.tabsById) === getLineageRoot(other, context.tabsById) ? 1 : 0;
+        },
+        compareGroups(group, other, context) {
+            if (other.tabs.length === 0) return 0;
+            const roots = new Set(group.tabs.map(tab => getLineageRoot(tab, context.tabsById)));
+            const shared = other.tabs.filter(tab => roots.has(getLineageRoot(tab, context.tabsById)));
+            return shared.length / other.tabs.length;
+        },
+        candidateKeys(tab) {
+            return [`lineage:${tab.lineageRoot ?? tab.id}`];
+        },
+        prepareFromIndex(index) {
+            return { tabsById: index.tabs };
+        }
+    },
+    tfidf: {
+        label: 'Title topic (TF-IDF)',
+        threshold: 0.3,
+        prepare(tabs) {
+            return { idf: buildIdf(tabs.map(tab => tab.title || '')) };
+        },
+        compareTabs(tab, other, context) {
+            return tfidfCosine(tab.title || '', other.title || '', context.idf);
+        },
+        compareGroups(group, other, context) {
+            return tfidfCosine(groupDocument(group), groupDocument(other), context.idf);
+        },
+        candidateKeys(tab) {
+            return [...termFrequencies(tab.title || '').keys()].map(term => `title:${term}`);
+        },
+        prepareFromIndex(index, windowId) {
+            const totalDocuments = index.windowSize(windowId);
+            return {
+                idf: {
+                    get: term => idfWeight(index.documentFrequency(windowId, `title:${term}`), totalDocuments)
+                }
+            };
+        }
+    }
+};
+
+// Resolve the configured strategy and its effective threshold
+function getStrategy(settings = {}) {
+    const id = GROUPING_STRATEGIES[settings.strategy] ? settings.strategy : DEFAULT_STRATEGY;
+    const strategy = GROUPING_STRATEGIES[id];
+    const threshold = settings.thresholds?.[id] ?? strategy.threshold;
+    return { id, strategy, threshold };
+}
+
+// Every index key any strategy may look up for a tab
+function getCandidateKeys(tab) {
+    return [...new Set(Object.values(GROUPING_STRATEGIES).flatMap(strategy => strategy.candidateKeys(tab)))];
+}
+
+// Build the strategy context for a set of tabs
+function prepareStrategy(strategy, tabs) {
+    return strategy.prepare ? strategy.prepare(tabs) : {};
+}
+
+// Build the strategy context from the tab index
+function prepareStrategyFromIndex(strategy, index, windowId) {
+    return strategy.prepareFromIndex ? strategy.prepareFromIndex(index, windowId) : {};
+}
+
+export {
+    GROUPING_STRATEGIES,
+    DEFAULT_STRATEGY,
+    calculateSimilarity,
+    findCommonTerms,
+    getRegistrableDomain,
+    getStrategy,
+    getCandidateKeys,
+    prepareStrategy,
+    prepareStrategyFromIndex
+};
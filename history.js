@@ -0,0 +1,224 @@
+import { storageSet, storageGet, storageRemove } from './utils.js';
+
+// Version history per session, stored compressed in local storage under history_<sessionKey>.
+// Only the current state is stored in full. Each older version is a reverse patch that turns the
+// next newer version back into it, holding just the fields and windows that differ.
+const HISTORY_PREFIX = 'history_';
+const MAX_VERSIONS = 20;
+
+// Coalesced changes closer together than this (e.g. a live session updating) are folded into one version
+const COALESCE_INTERVAL = 60 * 1000;
+
+// Serialize history writes so rapid updates to a session don't drop versions
+let historyUpdates = Promise.resolve();
+
+function updateHistory(sessionKey, update) {
+    const key = `${HISTORY_PREFIX}${sessionKey}`;
+    const result = historyUpdates.then(async () => {
+        const history = (await storageGet(key, true)) || { versions: [] };
+        const updated = update(history);
+        if (updated) await storageSet(key, updated, true);
+    });
+    historyUpdates = result.catch(error => {
+        console.error('Error updating session history:', error);
+    });
+    return result;
+}
+
+// Reverse patch turning current back into previous
+function createPatch(current, previous) {
+    const fields = {};
+    const removedFields = [];
+    for (const field of new Set([...Object.keys(current), ...Object.keys(previous)])) {
+        if (field === 'windows') continue;
+        if (!(field in previous)) {
+            removedFields.push(field);
+        } else if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+            fields[field] = previous[field];
+        }
+    }
+
+    const windows = {};
+    previous.windows.forEach((win, index) => {
+        if (JSON.stringify(win) !== JSON.stringify(current.windows[index])) {
+            windows[index] = win;
+        }
+    });
+    return { fields, removedFields, windowCount: previous.windows.length, windows };
+}
+
+function applyPatch(session, patch) {
+    const result = { ...session, ...patch.fields };
+    patch.removedFields.forEach(field => delete result[field]);
+    result.windows = Array.from({ length: patch.windowCount }, (_, index) =>
+        patch.windows[index] ?? session.windows[index]);
+    return result;
+}
+
+function isEmptyPatch(patch, current) {
+    return Object.keys(patch.fields).length === 0 &&
+        patch.removedFields.length === 0 &&
+        Object.keys(patch.windows).length === 0 &&
+        patch.windowCount === current.windows.length;
+}
+
+function summarizeVersion(session) {
+    return {
+        time: session.updatedAt || session.timestamp,
+        windowCount: session.windows.length,
+        tabCount: session.windows.reduce((sum, win) => sum + win.tabs.length, 0)
+    };
+}
+
+// Record previous as the version replaced by current.
+// With coalesce set, a version replaced moments ago is folded into this one.
+function recordVersion(sessionKey, previous, current, { coalesce = false } = {}) {
+    return updateHistory(sessionKey, history => {
+        const versions = [...history.versions];
+        const now = Date.now();
+
+        // Fold into the newest version if it was only just replaced
+        let base = previous;
+        let replacedAt = now;
+        if (coalesce && versions.length > 0 && now - versions[0].replacedAt < COALESCE_INTERVAL) {
+            base = applyPatch(previous, versions[0].patch);
+            replacedAt = versions.shift().replacedAt;
+        }
+
+        const patch = createPatch(current, base);
+        if (isEmptyPatch(patch, current)) {
+            // Any folded version is now identical to the current state and drops out
+            return versions.length === history.versions.length ? null : { versions };
+        }
+        versions.unshift({
+            id: `v_${replacedAt}`,
+            replacedAt,
+            ...summarizeVersion(base),
+            patch
+        });
+        return { versions: versions.slice(0, MAX_VERSIONS) };
+    });
+}
+
+// Older versions, newest first, without their patches
+async function listVersions(sessionKey) {
+    await historyUpdates;
+    const history = await storageGet(`${HISTORY_PREFIX}${sessionKey}`, true);
+    return (history?.versions || []).map(({ patch, ...version }) => version);
+}
+
+// Rebuild an older version by walking back from the current state
+async function getVersion(sessionKey, current, versionId) {
+    await historyUpdates;
+    const history = await storageGet(`${HISTORY_PREFIX}${sessionKey}`, true);
+    let session = current;
+    for (const version of history?.versions || []) {
+        session = applyPatch(session, version.patch);
+        if (version.id === versionId) return session;
+    }
+    return null;
+}
+
+async function deleteHistory(sessionKey) {
+    await historyUpdates;
+    await storageRemove(`${HISTORY_PREFIX}${sessionKey}`, true);
+}
+
+// Saved tabs with their window and position
+function flattenTabs(session) {
+    return session.windows.flatMap((win, windowIndex) =>
+        win.tabs.map((tab, index) => ({ tab, windowIndex, index, groups: win.groups })));
+}
+
+// Indexes of the longest increasing subsequence of values
+function longestIncreasing(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+    values.forEach((value, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[tails[mid]] < value) low = mid + 1; else high = mid;
+        }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+    const result = new Set();
+    for (let i = tails[tails.length - 1] ?? -1; i !== -1; i = previous[i]) result.add(i);
+    return result;
+}
+
+// Changes from older to newer: tabs added, removed and moved, and groups renamed.
+// Tabs are matched by URL; a tab counts as moved when it changed window or its order
+// relative to the other tabs that exist in both versions.
+function diffSessions(older, newer) {
+    const olderTabs = flattenTabs(older);
+    const newerTabs = flattenTabs(newer);
+
+    // Pair up tabs by URL, in order, so repeated URLs match one to one
+    const unmatched = new Map();
+    olderTabs.forEach((entry, position) => {
+        if (!unmatched.has(entry.tab.url)) unmatched.set(entry.tab.url, []);
+        unmatched.get(entry.tab.url).push(position);
+    });
+    const pairs = [];
+    const addedTabs = [];
+    newerTabs.forEach(entry => {
+        const position = unmatched.get(entry.tab.url)?.shift();
+        if (position === undefined) {
+            addedTabs.push(entry);
+        } else {
+            pairs.push({ from: olderTabs[position], to: entry, position });
+        }
+    });
+    const matched = new Set(pairs.map(pair => pair.position));
+    const removedTabs = olderTabs.filter((_, position) => !matched.has(position));
+
+    // Within each window, tabs outside the longest run kept in order are the ones that moved
+    const movedTabs = pairs.filter(pair => pair.from.windowIndex !== pair.to.windowIndex);
+    const stayed = pairs.filter(pair => pair.from.windowIndex === pair.to.windowIndex);
+    for (const windowIndex of new Set(stayed.map(pair => pair.to.windowIndex))) {
+        const inWindow = stayed.filter(pair => pair.to.windowIndex === windowIndex);
+        const inOrder = longestIncreasing(inWindow.map(pair => pair.from.index));
+        movedTabs.push(...inWindow.filter((_, i) => !inOrder.has(i)));
+    }
+
+    // Match each newer group to the older group sharing most of its tabs
+    const groupTitle = (entry) => entry.groups.find(group => group.id === entry.tab.group)?.title || '';
+    const overlaps = new Map();
+    for (const { from, to } of pairs) {
+        if (from.tab.group === null || to.tab.group === null) continue;
+        const id = `${to.windowIndex}:${to.tab.group}`;
+        if (!overlaps.has(id)) overlaps.set(id, new Map());
+        const fromTitle = groupTitle(from);
+        const counts = overlaps.get(id);
+        counts.set(fromTitle, { count: (counts.get(fromTitle)?.count || 0) + 1, to: groupTitle(to) });
+    }
+    const renamedGroups = [];
+    for (const counts of overlaps.values()) {
+        const [from, { to }] = [...counts.entries()].sort(([, a], [, b]) => b.count - a.count)[0];
+        if (from !== to) renamedGroups.push({ from, to });
+    }
+
+    const describe = entry => ({ title: entry.tab.title, url: entry.tab.url, window: entry.windowIndex });
+    return {
+        addedTabs: addedTabs.map(describe),
+        removedTabs: removedTabs.map(describe),
+        movedTabs: movedTabs.map(pair => ({
+            ...describe(pair.to),
+            fromWindow: pair.from.windowIndex,
+            fromIndex: pair.from.index,
+            toIndex: pair.to.index
+        })),
+        renamedGroups
+    };
+}
+
+export {
+    recordVersion,
+    listVersions,
+    getVersion,
+    deleteHistory,
+    diffSessions
+};
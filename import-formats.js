@@ -0,0 +1,442 @@
+import { GROUP_COLORS } from './rules.js';
+
+// Importers for session files from other tools. parseImport detects the format from the file
+// contents and returns the sessions in it. Sessions from other tools come out in the current
+// (local group id) format; our own exports are returned as they were saved.
+const IMPORT_FORMAT_NAMES = {
+    session: 'session file',
+    oneTab: 'OneTab',
+    sessionBuddy: 'Session Buddy',
+    tabSessionManager: 'Tab Session Manager',
+    bookmarks: 'bookmarks',
+    markdown: 'Markdown file',
+    csv: 'CSV file',
+    urls: 'URL list'
+};
+
+// Decode base64 holding UTF-8 text
+function decodeBase64(data) {
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Only URLs a tab can open; scripts and unparseable lines are skipped
+function parseUrl(text) {
+    try {
+        const url = new URL(text);
+        return url.protocol === 'javascript:' ? null : url;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Build a window from tab entries of the form { url, title, pinned, active, muted, group },
+// where group is null or { key, title, color, collapsed } and key identifies it in the source.
+// Groups get local ids in the order they first appear; pinned tabs can't be grouped.
+function buildWindow(entries, layout = {}) {
+    const groups = [];
+    const localIds = new Map();
+    const tabs = [];
+    for (const entry of entries) {
+        const url = parseUrl(entry.url);
+        if (!url) continue;
+
+        let group = null;
+        if (entry.group && !entry.pinned) {
+            if (!localIds.has(entry.group.key)) {
+                localIds.set(entry.group.key, groups.length);
+                groups.push({
+                    id: groups.length,
+                    title: entry.group.title || '',
+                    color: GROUP_COLORS.includes(entry.group.color) ? entry.group.color : 'grey',
+                    collapsed: !!entry.group.collapsed
+                });
+            }
+            group = localIds.get(entry.group.key);
+        }
+        tabs.push({
+            url: url.href,
+            title: entry.title || url.href,
+            group,
+            domain: url.hostname,
+            pinned: !!entry.pinned,
+            active: !!entry.active,
+            muted: !!entry.muted
+        });
+    }
+
+    const bounds = {};
+    for (const key of ['left', 'top', 'width', 'height']) {
+        if (Number.isInteger(layout[key])) bounds[key] = layout[key];
+    }
+    return { ...bounds, state: layout.state || 'normal', focused: !!layout.focused, tabs, groups };
+}
+
+function buildSession(name, windows, timestamp) {
+    const time = new Date(timestamp ?? Date.now()).getTime();
+    return {
+        name: name || 'Imported session',
+        timestamp: Number.isFinite(time) ? time : Date.now(),
+        profile: null,
+        version: 2,
+        windows: windows.filter(win => win.tabs.length > 0)
+    };
+}
+
+// OneTab exports "url | title" lines, with a blank line between its tab groups.
+// Plain URL lists are the same without titles. Each block becomes a window.
+function parseLineList(text, name) {
+    const windows = text.split(/\r?\n\s*\r?\n/).map(block => buildWindow(block
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const separator = line.indexOf(' | ');
+            return separator === -1
+                ? { url: line }
+                : { url: line.slice(0, separator), title: line.slice(separator + 3).trim() };
+        })));
+    return [buildSession(name, windows)];
+}
+
+// Session Buddy 4 exports collections of folders of links; a folder is a window.
+// Older versions export sessions of windows of tabs.
+function parseSessionBuddy(data) {
+    if (Array.isArray(data.collections)) {
+        return data.collections.map(collection => buildSession(
+            collection.title,
+            (collection.folders || []).map(folder => buildWindow(folder.links || [])),
+            collection.created
+        ));
+    }
+    return data.sessions.map(session => buildSession(
+        session.name || session.title || `Session Buddy ${session.type || 'session'}`,
+        (session.windows || []).map(win => buildWindow(
+            (win.tabs || []).map(tab => ({ ...tab, active: tab.active ?? tab.selected })),
+            win
+        )),
+        session.created ?? session.generated
+    ));
+}
+
+function isTabSessionManagerSession(session) {
+    return session && typeof session.windows === 'object' && !Array.isArray(session.windows) &&
+        ('windowsInfo' in session || 'tabsNumber' in session);
+}
+
+// Tab Session Manager exports a list of sessions whose windows are keyed by window id and hold
+// tabs keyed by tab id, with the browser's tab groups alongside
+function parseTabSessionManager(data) {
+    return data.filter(isTabSessionManagerSession).map(session => {
+        const tabGroups = new Map((session.tabGroups || []).map(group => [group.id, group]));
+        const windows = Object.entries(session.windows).map(([windowId, tabs]) => buildWindow(
+            Object.values(tabs)
+                .sort((a, b) => a.index - b.index)
+                .map(tab => {
+                    const group = tabGroups.get(tab.groupId);
+                    return {
+                        url: tab.url,
+                        title: tab.title,
+                        pinned: tab.pinned,
+                        active: tab.active,
+                        muted: tab.mutedInfo?.muted,
+                        group: group ? { key: group.id, ...group } : null
+                    };
+                }),
+            session.windowsInfo?.[windowId]
+        ));
+        return buildSession(session.name || 'Tab Session Manager session', windows, session.date);
+    });
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, value] of text.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name.toUpperCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+// Bookmark folders as a tree of { title, attributes, items }, where items mixes folders and
+// links ({ url, title }) in file order. Parsed with regular expressions since the background
+// service worker has no DOMParser.
+function parseBookmarkTree(html) {
+    const root = { title: null, attributes: {}, items: [] };
+    const stack = [root];
+    let pendingFolder = null;
+    let seenRootList = false;
+    const token = /<DT>\s*<H3([^>]*)>([\s\S]*?)<\/H3>|<DT>\s*<A\b([^>]*)>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+
+    for (const [match, folderAttributes, folderTitle, linkAttributes, linkTitle] of html.matchAll(token)) {
+        const current = stack[stack.length - 1];
+        if (folderTitle !== undefined) {
+            pendingFolder = { title: decodeEntities(folderTitle.trim()), attributes: parseAttributes(folderAttributes), items: [] };
+            current.items.push(pendingFolder);
+        } else if (linkTitle !== undefined) {
+            const attributes = parseAttributes(linkAttributes);
+            if (attributes.HREF) current.items.push({ url: attributes.HREF, title: decodeEntities(linkTitle.trim()) });
+        } else if (match[1] === '/') {
+            if (stack.length > 1) stack.pop();
+        } else if (pendingFolder) {
+            stack.push(pendingFolder);
+            pendingFolder = null;
+        } else if (seenRootList) {
+            // A list without a folder heading still nests
+            const folder = { title: '', attributes: {}, items: [] };
+            current.items.push(folder);
+            stack.push(folder);
+        }
+        seenRootList = true;
+    }
+    return root;
+}
+
+// Links in a folder and all its subfolders, in order
+function collectLinks(folder) {
+    return folder.items.flatMap(item => item.items ? collectLinks(item) : [item]);
+}
+
+// A window from a folder: its own links stay ungrouped, each subfolder becomes a tab group
+function folderToWindow(folder) {
+    return buildWindow(folder.items.flatMap(item => {
+        if (!item.items) return [item];
+        const group = { key: item, title: item.title, color: item.attributes.COLOR?.toLowerCase() };
+        return collectLinks(item).map(link => ({ ...link, group }));
+    }));
+}
+
+// Each top-level folder is a session. Folders named "Window <n>" inside it, as in our own
+// bookmark exports, are its windows; otherwise it is one window. Loose top-level links form one more session.
+function parseBookmarks(html) {
+    const root = parseBookmarkTree(html);
+    const sessions = root.items.filter(item => item.items).map(folder => {
+        const addDate = Number(folder.attributes.ADD_DATE) * 1000 || undefined;
+        const windowFolders = folder.items.filter(item => item.items && /^Window \d+$/.test(item.title));
+        if (windowFolders.length === 0) {
+            return buildSession(folder.title, [folderToWindow(folder)], addDate);
+        }
+        const looseLinks = folder.items.filter(item => !windowFolders.includes(item));
+        const windows = windowFolders.map(folderToWindow);
+        if (looseLinks.length > 0) windows.unshift(folderToWindow({ ...folder, items: looseLinks }));
+        return buildSession(folder.title, windows, addDate);
+    });
+
+    const looseLinks = root.items.filter(item => !item.items);
+    if (looseLinks.length > 0) {
+        sessions.push(buildSession('Imported bookmarks', [buildWindow(looseLinks)]));
+    }
+    return sessions;
+}
+
+// Markdown as exported by export-formats.js: "# session", "## Window n", "### group (color)"
+// headings and "- [title](<url>)" links. A "### Ungrouped" heading ends the group above it.
+function parseMarkdown(text) {
+    const unescape = value => value.replace(/\\(.)/g, '$1');
+    const sessions = [];
+    let session = null;
+    let win = null;
+    let group = null;
+
+    const startWindow = () => {
+        if (!session) {
+            session = { name: 'Imported Markdown', windows: [] };
+            sessions.push(session);
+        }
+        win = [];
+        session.windows.push(win);
+        group = null;
+    };
+
+    for (const line of text.split(/\r?\n/).map(line => line.trim())) {
+        let match;
+        if ((match = line.match(/^# (.*)$/))) {
+            session = { name: unescape(match[1]), windows: [] };
+            sessions.push(session);
+            win = null;
+        } else if (/^## /.test(line)) {
+            startWindow();
+        } else if ((match = line.match(/^### (.*)$/))) {
+            if (!win) startWindow();
+            const heading = match[1].match(/^(.*) \((\w+)\)$/);
+            group = heading && GROUP_COLORS.includes(heading[2])
+                ? { key: {}, title: unescape(heading[1]), color: heading[2] }
+                : null;
+        } else if ((match = line.match(/^[-*] \[((?:\\.|[^\]\\])*)\]\((?:<([^>]*)>|([^)\s]*))\)$/))) {
+            if (!win) startWindow();
+            win.push({ title: unescape(match[1]), url: match[2] ?? match[3], group });
+        }
+    }
+    return sessions.map(({ name, windows }) => buildSession(name, windows.map(entries => buildWindow(entries))));
+}
+
+// Rows of a CSV file, following RFC 4180 quoting
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) rows.push([...row, cell]);
+    return rows.filter(cells => cells.some(Boolean));
+}
+
+// CSV with title, url, group, window and session columns, as exported by export-formats.js.
+// Tabs with the same group title in a window share a group; CSV has no group colors.
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    const columns = Object.fromEntries(header.map((name, index) => [name.trim().toLowerCase(), index]));
+    // Undo the quote export-formats.js puts in front of cells a spreadsheet would run as a formula
+    const cell = (row, name) => (row[columns[name]] ?? '').replace(/^'(?=[=+\-@\t\r])/, '');
+
+    const sessions = new Map();
+    for (const row of rows) {
+        const name = cell(row, 'session') || 'Imported CSV';
+        if (!sessions.has(name)) sessions.set(name, new Map());
+        const windows = sessions.get(name);
+        const windowKey = cell(row, 'window') || '1';
+        if (!windows.has(windowKey)) windows.set(windowKey, []);
+        const groupTitle = cell(row, 'group');
+        windows.get(windowKey).push({
+            url: cell(row, 'url'),
+            title: cell(row, 'title'),
+            group: groupTitle ? { key: `${windowKey}:${groupTitle}`, title: groupTitle } : null
+        });
+    }
+    return Array.from(sessions, ([name, windows]) =>
+        buildSession(name, Array.from(windows.values(), entries => buildWindow(entries))));
+}
+
+// Check that a session from our own export has the windows and tabs a stored session needs, so
+// a damaged or hand-edited file is rejected instead of being saved as a session that can't open
+function checkOwnSession(session, index) {
+    const label = `Session ${index + 1}`;
+    if (!session || typeof session !== 'object' || !Array.isArray(session.windows)) {
+        throw new Error(`${label} in this session file has no windows`);
+    }
+    session.windows.forEach((win, windowIndex) => {
+        const windowLabel = `${label}, window ${windowIndex + 1}`;
+        if (!win || !Array.isArray(win.tabs)) throw new Error(`${windowLabel} in this session file has no tabs`);
+        if (win.groups !== undefined && !Array.isArray(win.groups)) {
+            throw new Error(`${windowLabel} in this session file has invalid groups`);
+        }
+        win.tabs.forEach((tab, tabIndex) => {
+            if (typeof tab?.url !== 'string' || !tab.url) {
+                throw new Error(`${windowLabel}, tab ${tabIndex + 1} in this session file has no URL`);
+            }
+        });
+    });
+    return {
+        ...session,
+        name: typeof session.name === 'string' && session.name ? session.name : 'Imported session',
+        timestamp: Number.isFinite(session.timestamp) ? session.timestamp : Date.now(),
+        windows: session.windows.map(win => ({ ...win, groups: win.groups || [] }))
+    };
+}
+
+// Sessions from our own export, which is base64-encoded JSON; null if the text isn't one
+function parseOwnExport(data) {
+    if (data?.version !== '1.0') return null;
+    if (data.session) return [data.session].map(checkOwnSession);
+    if (Array.isArray(data.sessions)) return data.sessions.map(checkOwnSession);
+    return null;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Detect the format of an imported file and parse it; returns { format, sessions }.
+// Sessions left without any tab that can be opened are dropped.
+function parseImport(text) {
+    const trimmed = text.trim();
+    const result = detectAndParse(trimmed);
+    const sessions = result.sessions.filter(session => Array.isArray(session?.windows) &&
+        session.windows.some(win => win.tabs?.length > 0));
+    if (sessions.length === 0) throw new Error(`No tabs found in this ${IMPORT_FORMAT_NAMES[result.format]}`);
+    return { format: result.format, sessions };
+}
+
+function detectAndParse(text) {
+    if (/^[A-Za-z0-9+/]+=*$/.test(text)) {
+        const sessions = parseOwnExport(parseJson(decodeBase64(text)));
+        if (sessions) return { format: 'session', sessions };
+    }
+
+    const data = parseJson(text);
+    if (data !== undefined) {
+        const own = parseOwnExport(data);
+        if (own) return { format: 'session', sessions: own };
+        if (Array.isArray(data) && data.some(isTabSessionManagerSession)) {
+            return { format: 'tabSessionManager', sessions: parseTabSessionManager(data) };
+        }
+        if (Array.isArray(data?.collections) || Array.isArray(data?.sessions)) {
+            return { format: 'sessionBuddy', sessions: parseSessionBuddy(data) };
+        }
+        throw new Error('Unrecognized JSON file');
+    }
+
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file-1>|<DT>\s*<(?:A|H3)\b/i.test(text)) {
+        return { format: 'bookmarks', sessions: parseBookmarks(text) };
+    }
+
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (/^"?title"?,/i.test(lines[0]) && /(^|,)"?url"?(,|$)/i.test(lines[0])) {
+        return { format: 'csv', sessions: parseCsv(text) };
+    }
+    if (/^# /.test(lines[0]) && lines.some(line => /^[-*] \[/.test(line))) {
+        return { format: 'markdown', sessions: parseMarkdown(text) };
+    }
+    if (lines.some(line => line.includes(' | ') && parseUrl(line.slice(0, line.indexOf(' | '))))) {
+        return { format: 'oneTab', sessions: parseLineList(text, 'OneTab import') };
+    }
+    if (lines.some(line => parseUrl(line))) {
+        return { format: 'urls', sessions: parseLineList(text, 'Imported URLs') };
+    }
+    throw new Error('Unrecognized file format');
+}
+
+export {
+    IMPORT_FORMAT_NAMES,
+    decodeBase64,
+    parseImport
+};
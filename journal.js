@@ -0,0 +1,53 @@
+const JOURNAL_KEY = 'groupingJournal';
+const MAX_JOURNAL_ENTRIES = 50;
+
+// Serialize journal writes so concurrent grouping operations don't drop entries
+let journalUpdates = Promise.resolve();
+
+function updateJournal(update) {
+    const result = journalUpdates.then(async () => {
+        const data = await chrome.storage.local.get(JOURNAL_KEY);
+        const journal = data[JOURNAL_KEY] || [];
+        const { entries, value } = update(journal);
+        await chrome.storage.local.set({ [JOURNAL_KEY]: entries.slice(-MAX_JOURNAL_ENTRIES) });
+        return value;
+    });
+    journalUpdates = result.catch(error => {
+        console.error('Error updating grouping journal:', error);
+    });
+    return result;
+}
+
+// Record an automatic grouping operation.
+// Entry shape: { reason, windowId, groupId, createdGroup, moves: [{ tabId, fromGroupId, fromIndex }],
+// groups: { [groupId]: { title, color, collapsed } } } where groups holds every affected group as it was before
+function recordGrouping(entry) {
+    return updateJournal(journal => ({
+        entries: [...journal, { ...entry, id: `op_${Date.now()}_${journal.length}`, timestamp: Date.now() }]
+    }));
+}
+
+// Remove and return the most recent entries, newest first
+function takeRecentGroupings(count = 1) {
+    return updateJournal(journal => ({
+        entries: journal.slice(0, Math.max(0, journal.length - count)),
+        value: journal.slice(-count).reverse()
+    }));
+}
+
+async function getJournal() {
+    const data = await chrome.storage.local.get(JOURNAL_KEY);
+    return data[JOURNAL_KEY] || [];
+}
+
+// Group ids are not stable across browser restarts
+async function clearJournal() {
+    await chrome.storage.local.remove(JOURNAL_KEY);
+}
+
+export {
+    recordGrouping,
+    takeRecentGroupings,
+    getJournal,
+    clearJournal
+};
@@ -0,0 +1,105 @@
+// How long to wait for a new tab to commit its URL before discarding it anyway
+const COMMIT_TIMEOUT = 5000;
+
+// How long a background load may take before the queue moves on
+const LOAD_TIMEOUT = 30000;
+
+// Resolve once the tab has committed its URL or finished loading, or after the timeout
+function waitForTabUrl(tabId, timeout) {
+    return new Promise(resolve => {
+        const finish = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            resolve();
+        };
+        const listener = (id, changeInfo) => {
+            if (id === tabId && (changeInfo.url || changeInfo.status === 'complete')) finish();
+        };
+        const timer = setTimeout(finish, timeout);
+        chrome.tabs.onUpdated.addListener(listener);
+
+        // The URL may have been committed before the listener was added
+        chrome.tabs.get(tabId)
+            .then(tab => { if (tab.url) finish(); })
+            .catch(finish);
+    });
+}
+
+// Unload a freshly created tab so it only loads when activated, and return its (possibly new) id.
+// A tab discarded before its URL is committed comes back blank, so wait for the commit first.
+async function deferTabLoad(tabId) {
+    await waitForTabUrl(tabId, COMMIT_TIMEOUT);
+    try {
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab.active && !tab.discarded) {
+            const discarded = await chrome.tabs.discard(tabId);
+            return discarded?.id ?? tabId;
+        }
+    } catch (error) {
+        console.warn(`Could not defer loading of tab ${tabId}:`, error);
+    }
+    return tabId;
+}
+
+// Resolve once the tab has finished loading, or after the timeout
+function waitForTabLoad(tabId, timeout) {
+    return new Promise(resolve => {
+        const finish = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            chrome.tabs.onRemoved.removeListener(removedListener);
+            resolve();
+        };
+        const listener = (id, changeInfo) => {
+            if (id === tabId && changeInfo.status === 'complete') finish();
+        };
+        const removedListener = (id) => {
+            if (id === tabId) finish();
+        };
+        const timer = setTimeout(finish, timeout);
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.onRemoved.addListener(removedListener);
+    });
+}
+
+// Deferred tabs waiting for a background load, shared across restores.
+// The queue lives in memory only; tabs it never reaches still load when activated.
+const loadQueue = [];
+let activeLoads = 0;
+let loadConcurrency = 3;
+
+// Load a tab if it is still discarded; tabs the user already opened or closed are skipped
+async function loadDeferredTab(tabId) {
+    try {
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab.discarded) return;
+        const loaded = waitForTabLoad(tabId, LOAD_TIMEOUT);
+        await chrome.tabs.reload(tabId);
+        await loaded;
+    } catch (error) {
+        // The tab was closed in the meantime
+    }
+}
+
+function drainLoadQueue() {
+    while (activeLoads < loadConcurrency && loadQueue.length > 0) {
+        const tabId = loadQueue.shift();
+        activeLoads++;
+        loadDeferredTab(tabId).finally(() => {
+            activeLoads--;
+            drainLoadQueue();
+        });
+    }
+}
+
+// Load deferred tabs in the background, at most concurrency at a time
+function queueTabLoads(tabIds, concurrency = 3) {
+    loadConcurrency = Math.max(1, concurrency);
+    loadQueue.push(...tabIds);
+    drainLoadQueue();
+}
+
+export {
+    deferTabLoad,
+    queueTabLoads
+};
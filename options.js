@@ -0,0 +1,528 @@
+import { GROUP_COLORS, loadRules, saveRules, exportRules, importRules } from './rules.js';
+import { getSettings, updateSettings } from './settings.js';
+import { LANGUAGE_NAMES } from './tokenizer.js';
+import { RULE_TYPES, RULE_TARGETS, validateRetentionRules } from './retention.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await renderRules(await loadRules());
+    await renderExclusions();
+    await renderStopwords();
+    document.getElementById('undoCount').value = (await getSettings('journal')).undoCount;
+    await renderDuplicates();
+    await renderSuspender();
+    await renderRestore();
+    await renderAutosave();
+    await renderRetention();
+
+    document.getElementById('addRule').addEventListener('click', () => {
+        document.getElementById('rulesBody').appendChild(createRuleRow({
+            pattern: '',
+            title: '',
+            color: 'grey',
+            priority: 0,
+            enabled: true
+        }));
+        document.querySelector('.empty-state')?.closest('tr')?.remove();
+    });
+
+    document.getElementById('saveRules').addEventListener('click', async () => {
+        try {
+            const saved = await saveRules(collectRules());
+            await renderRules(saved);
+            showToast('Rules saved');
+        } catch (error) {
+            console.error('Error saving rules:', error);
+            showToast(error.message, true);
+        }
+    });
+
+    document.getElementById('exportRules').addEventListener('click', async () => {
+        const rules = await loadRules();
+        const blob = new Blob([exportRules(rules)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'grouping_rules.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    });
+
+    document.getElementById('importRules').addEventListener('click', () => {
+        document.getElementById('importRulesInput').click();
+    });
+
+    document.getElementById('importRulesInput').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const imported = importRules(await file.text());
+            const replace = confirm(`Import ${imported.length} rules. Replace existing rules? (Cancel to add them to the existing rules)`);
+            const existing = replace ? [] : await loadRules();
+            const existingIds = new Set(existing.map(rule => rule.id));
+            const saved = await saveRules([
+                ...existing,
+                ...imported.filter(rule => !existingIds.has(rule.id))
+            ]);
+            await renderRules(saved);
+            showToast(`Imported ${imported.length} rules`);
+        } catch (error) {
+            console.error('Error importing rules:', error);
+            showToast(`Error importing rules: ${error.message}`, true);
+        } finally {
+            event.target.value = '';
+        }
+    });
+
+    document.getElementById('saveExclusions').addEventListener('click', async () => {
+        try {
+            const blockedDomains = document.getElementById('blockedDomains').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean);
+            await updateSettings('exclusions', {
+                blockedDomains,
+                skipPinned: document.getElementById('skipPinned').checked,
+                respectManualUngroup: document.getElementById('respectManualUngroup').checked
+            });
+            await renderExclusions();
+            showToast('Exclusions saved');
+        } catch (error) {
+            console.error('Error saving exclusions:', error);
+            showToast('Error saving exclusions', true);
+        }
+    });
+
+    document.getElementById('saveStopwords').addEventListener('click', async () => {
+        try {
+            const stopwordLanguages = Array.from(
+                document.querySelectorAll('#stopwordLanguages input:checked'),
+                input => input.value
+            );
+            const customStopwords = document.getElementById('customStopwords').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean);
+            await updateSettings('grouping', { stopwordLanguages, customStopwords });
+            showToast('Stopwords saved');
+        } catch (error) {
+            console.error('Error saving stopwords:', error);
+            showToast('Error saving stopwords', true);
+        }
+    });
+
+    document.getElementById('saveUndo').addEventListener('click', async () => {
+        const undoCount = parseInt(document.getElementById('undoCount').value, 10);
+        if (isNaN(undoCount) || undoCount < 1 || undoCount > 50) {
+            showToast('Enter a number between 1 and 50', true);
+            return;
+        }
+        await updateSettings('journal', { undoCount });
+        showToast('Undo settings saved');
+    });
+
+    document.getElementById('saveDuplicates').addEventListener('click', async () => {
+        try {
+            await updateSettings('duplicates', {
+                action: document.getElementById('duplicateAction').value,
+                ignoreFragment: document.getElementById('ignoreFragment').checked,
+                stripTrackingParams: document.getElementById('stripTrackingParams').checked,
+                ignoreTrailingSlash: document.getElementById('ignoreTrailingSlash').checked
+            });
+            showToast('Duplicate settings saved');
+        } catch (error) {
+            console.error('Error saving duplicate settings:', error);
+            showToast('Error saving duplicate settings', true);
+        }
+    });
+
+    document.getElementById('saveSuspender').addEventListener('click', async () => {
+        const idleMinutes = parseInt(document.getElementById('idleMinutes').value, 10);
+        if (isNaN(idleMinutes) || idleMinutes < 5) {
+            showToast('Idle time must be at least 5 minutes', true);
+            return;
+        }
+        await updateSettings('suspender', {
+            enabled: document.getElementById('suspenderEnabled').checked,
+            idleMinutes,
+            skipAudible: document.getElementById('skipAudible').checked,
+            skipPinned: document.getElementById('skipPinnedSuspend').checked,
+            skipUnsavedForms: document.getElementById('skipUnsavedForms').checked
+        });
+        showToast('Idle group settings saved');
+    });
+
+    document.getElementById('saveRestore').addEventListener('click', async () => {
+        const concurrency = parseInt(document.getElementById('loadConcurrency').value, 10);
+        if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+            showToast('Tabs loaded at a time must be between 1 and 10', true);
+            return;
+        }
+        await updateSettings('restore', {
+            lazy: document.getElementById('lazyRestore').checked,
+            backgroundLoad: document.getElementById('backgroundLoad').checked,
+            concurrency
+        });
+        showToast('Restore settings saved');
+    });
+
+    document.getElementById('saveAutosave').addEventListener('click', async () => {
+        const intervalMinutes = parseInt(document.getElementById('autosaveInterval').value, 10);
+        const maxSnapshots = parseInt(document.getElementById('maxSnapshots').value, 10);
+        if (isNaN(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 60) {
+            showToast('Autosave interval must be between 1 and 60 minutes', true);
+            return;
+        }
+        if (isNaN(maxSnapshots) || maxSnapshots < 1 || maxSnapshots > 20) {
+            showToast('Snapshots kept must be between 1 and 20', true);
+            return;
+        }
+        await updateSettings('autosave', {
+            enabled: document.getElementById('autosaveEnabled').checked,
+            intervalMinutes,
+            maxSnapshots,
+            offerOnStartup: document.getElementById('offerOnStartup').checked
+        });
+        showToast('Autosave settings saved');
+    });
+
+    document.getElementById('addRetentionRule').addEventListener('click', () => {
+        document.getElementById('retentionBody').appendChild(
+            createRetentionRow({ type: 'maxAge', target: 'sessions', days: 90 }));
+    });
+
+    document.getElementById('previewRetention').addEventListener('click', async () => {
+        const report = await chrome.runtime.sendMessage({ action: 'getRetentionReport', rules: collectRetentionRules() });
+        if (report?.error) {
+            showToast(report.error, true);
+            return;
+        }
+        renderRetentionReport(report, 'would be purged now');
+    });
+
+    document.getElementById('saveRetention').addEventListener('click', async () => {
+        const rules = collectRetentionRules();
+        const trashDays = parseInt(document.getElementById('trashDays').value, 10);
+        try {
+            validateRetentionRules(rules);
+        } catch (error) {
+            showToast(error.message, true);
+            return;
+        }
+        if (isNaN(trashDays) || trashDays < 1 || trashDays > 90) {
+            showToast('Days in the trash must be between 1 and 90', true);
+            return;
+        }
+        await updateSettings('retention', { rules, trashDays });
+        showToast('Retention policy saved');
+    });
+
+    document.getElementById('applyRetention').addEventListener('click', async () => {
+        if (!confirm('Move everything the saved retention policy purges to the trash now?')) return;
+        const report = await chrome.runtime.sendMessage({ action: 'applyRetention' });
+        if (report?.error) {
+            showToast(report.error, true);
+            return;
+        }
+        renderRetentionReport(report, 'moved to the trash');
+        showToast(`${report.purge.length} items moved to the trash`);
+    });
+});
+
+const RETENTION_RULE_NAMES = {
+    maxCount: 'Keep at most',
+    maxAge: 'Purge when unused for',
+    maxBytes: 'Keep total size under',
+    keepPerTag: 'Never purge the newest per tag',
+    neverDeletePinned: 'Never purge pinned or "keep" sessions'
+};
+
+// The limit each rule type takes, with its unit; bytes are edited in KB
+const RETENTION_LIMITS = {
+    maxCount: { field: 'count', unit: 'items', scale: 1 },
+    maxAge: { field: 'days', unit: 'days', scale: 1 },
+    maxBytes: { field: 'bytes', unit: 'KB', scale: 1024 },
+    keepPerTag: { field: 'count', unit: 'sessions', scale: 1 }
+};
+
+// Fill the retention controls from settings, along with the report of the last purge
+async function renderRetention() {
+    const retention = await getSettings('retention');
+    const body = document.getElementById('retentionBody');
+    body.innerHTML = '';
+    retention.rules.forEach(rule => body.appendChild(createRetentionRow(rule)));
+    document.getElementById('trashDays').value = retention.trashDays;
+
+    const lastReport = await chrome.runtime.sendMessage({ action: 'getLastRetentionReport' });
+    if (lastReport) renderRetentionReport(lastReport, 'moved to the trash');
+}
+
+// Create an editable table row for a retention rule
+function createRetentionRow(rule) {
+    const row = document.createElement('tr');
+    row.className = 'retention-row';
+
+    const type = document.createElement('select');
+    type.className = 'retention-type';
+    RULE_TYPES.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = RETENTION_RULE_NAMES[name];
+        type.appendChild(option);
+    });
+    type.value = rule.type;
+
+    const target = document.createElement('select');
+    target.className = 'retention-target';
+    RULE_TARGETS.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        target.appendChild(option);
+    });
+    target.value = rule.target || 'sessions';
+
+    const limitCell = document.createElement('span');
+    const limit = document.createElement('input');
+    limit.type = 'number';
+    limit.min = '0';
+    limit.className = 'retention-limit';
+    const unit = document.createElement('span');
+    unit.className = 'retention-unit';
+    limitCell.appendChild(limit);
+    limitCell.appendChild(unit);
+
+    // Only size and age limits choose what they apply to; the other rules protect sessions
+    const updateFields = () => {
+        const details = RETENTION_LIMITS[type.value];
+        target.disabled = !['maxCount', 'maxAge', 'maxBytes'].includes(type.value);
+        limitCell.style.visibility = details ? 'visible' : 'hidden';
+        unit.textContent = details?.unit || '';
+    };
+    const details = RETENTION_LIMITS[rule.type];
+    limit.value = details ? Math.round((rule[details.field] ?? 0) / details.scale) : '';
+    type.addEventListener('change', updateFields);
+    updateFields();
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.className = 'danger-button';
+    deleteButton.addEventListener('click', () => row.remove());
+
+    [type, target, limitCell, deleteButton].forEach(element => {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        row.appendChild(cell);
+    });
+
+    return row;
+}
+
+// Read the retention rules currently shown in the table
+function collectRetentionRules() {
+    return Array.from(document.querySelectorAll('.retention-row')).map(row => {
+        const type = row.querySelector('.retention-type').value;
+        const rule = { type };
+        if (['maxCount', 'maxAge', 'maxBytes'].includes(type)) {
+            rule.target = row.querySelector('.retention-target').value;
+        }
+        const details = RETENTION_LIMITS[type];
+        if (details) {
+            rule[details.field] = parseFloat(row.querySelector('.retention-limit').value) * details.scale;
+        }
+        return rule;
+    });
+}
+
+// List what a retention run purged, or would purge, and what it protected
+function renderRetentionReport(report, purgedText) {
+    const container = document.getElementById('retentionReport');
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'report-line';
+    const kilobytes = Math.round(report.freedBytes / 1024);
+    summary.textContent = `${new Date(report.evaluatedAt).toLocaleString()}: ` +
+        `${report.purge.length} items ${purgedText} (${kilobytes} KB), ${report.keptCount} kept`;
+    container.appendChild(summary);
+
+    report.purge.forEach(item => {
+        const line = document.createElement('div');
+        line.className = 'report-line report-purged';
+        line.textContent = `− ${item.kind} "${item.name}": ${item.reasons.join(', ')}`;
+        container.appendChild(line);
+    });
+    report.protected.forEach(item => {
+        const line = document.createElement('div');
+        line.className = 'report-line report-protected';
+        line.textContent = `✓ ${item.kind} "${item.name}": ${item.reason}`;
+        container.appendChild(line);
+    });
+}
+
+// Fill the autosave controls from settings
+async function renderAutosave() {
+    const autosave = await getSettings('autosave');
+    document.getElementById('autosaveEnabled').checked = autosave.enabled;
+    document.getElementById('autosaveInterval').value = autosave.intervalMinutes;
+    document.getElementById('maxSnapshots').value = autosave.maxSnapshots;
+    document.getElementById('offerOnStartup').checked = autosave.offerOnStartup;
+}
+
+// Fill the session restore controls from settings
+async function renderRestore() {
+    const restore = await getSettings('restore');
+    document.getElementById('lazyRestore').checked = restore.lazy;
+    document.getElementById('backgroundLoad').checked = restore.backgroundLoad;
+    document.getElementById('loadConcurrency').value = restore.concurrency;
+}
+
+// Fill the idle group controls from settings
+async function renderSuspender() {
+    const suspender = await getSettings('suspender');
+    document.getElementById('suspenderEnabled').checked = suspender.enabled;
+    document.getElementById('idleMinutes').value = suspender.idleMinutes;
+    document.getElementById('skipAudible').checked = suspender.skipAudible;
+    document.getElementById('skipPinnedSuspend').checked = suspender.skipPinned;
+    document.getElementById('skipUnsavedForms').checked = suspender.skipUnsavedForms;
+}
+
+// Fill the duplicate tab controls from settings
+async function renderDuplicates() {
+    const duplicates = await getSettings('duplicates');
+    document.getElementById('duplicateAction').value = duplicates.action;
+    document.getElementById('ignoreFragment').checked = duplicates.ignoreFragment;
+    document.getElementById('stripTrackingParams').checked = duplicates.stripTrackingParams;
+    document.getElementById('ignoreTrailingSlash').checked = duplicates.ignoreTrailingSlash;
+}
+
+// Fill the stopword controls from settings
+async function renderStopwords() {
+    const { stopwordLanguages, customStopwords } = await getSettings('grouping');
+    const container = document.getElementById('stopwordLanguages');
+    container.innerHTML = '';
+
+    Object.entries(LANGUAGE_NAMES).forEach(([code, name]) => {
+        const label = document.createElement('label');
+        label.className = 'option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = code;
+        checkbox.checked = stopwordLanguages.includes(code);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${name}`));
+        container.appendChild(label);
+    });
+
+    document.getElementById('customStopwords').value = customStopwords.join('\n');
+}
+
+// Fill the exclusion controls from settings
+async function renderExclusions() {
+    const exclusions = await getSettings('exclusions');
+    document.getElementById('blockedDomains').value = exclusions.blockedDomains.join('\n');
+    document.getElementById('skipPinned').checked = exclusions.skipPinned;
+    document.getElementById('respectManualUngroup').checked = exclusions.respectManualUngroup;
+}
+
+// Render the rules table
+async function renderRules(rules) {
+    const body = document.getElementById('rulesBody');
+    body.innerHTML = '';
+
+    if (rules.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.className = 'empty-state';
+        cell.textContent = 'No rules yet. Tabs are grouped by similarity only.';
+        row.appendChild(cell);
+        body.appendChild(row);
+        return;
+    }
+
+    [...rules]
+        .sort((a, b) => b.priority - a.priority)
+        .forEach(rule => body.appendChild(createRuleRow(rule)));
+}
+
+// Create an editable table row for a rule
+function createRuleRow(rule) {
+    const row = document.createElement('tr');
+    row.className = 'rule-row';
+    if (rule.id) row.dataset.id = rule.id;
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.className = 'rule-enabled';
+    enabled.checked = rule.enabled;
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'rule-pattern';
+    pattern.placeholder = '*.example.com/*';
+    pattern.value = rule.pattern;
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'rule-title';
+    title.placeholder = 'Group title';
+    title.value = rule.title;
+
+    const color = document.createElement('select');
+    color.className = 'rule-color';
+    GROUP_COLORS.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        color.appendChild(option);
+    });
+    color.value = rule.color;
+
+    const priority = document.createElement('input');
+    priority.type = 'number';
+    priority.className = 'rule-priority';
+    priority.value = rule.priority;
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.className = 'danger-button';
+    deleteButton.addEventListener('click', () => row.remove());
+
+    [enabled, pattern, title, color, priority, deleteButton].forEach(element => {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        row.appendChild(cell);
+    });
+
+    return row;
+}
+
+// Read the rules currently shown in the table
+function collectRules() {
+    return Array.from(document.querySelectorAll('.rule-row')).map(row => ({
+        id: row.dataset.id,
+        enabled: row.querySelector('.rule-enabled').checked,
+        pattern: row.querySelector('.rule-pattern').value,
+        title: row.querySelector('.rule-title').value,
+        color: row.querySelector('.rule-color').value,
+        priority: row.querySelector('.rule-priority').value
+    }));
+}
+
+// Show a short status message
+function showToast(message, isError = false) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.style.backgroundColor = isError ? '#dc3545' : '#28a745';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => {
+        if (document.body.contains(toast)) {
+            toast.style.opacity = '0';
+            setTimeout(() => toast.remove(), 300);
+        }
+    }, 3000);
+}
@@ -1,6 +1,19 @@
 import { getMainDomain, storageGet, storageSet, saveWithChunks, loadFromChunks } from './utils.js';
+import { GROUPING_STRATEGIES, getStrategy } from './grouping.js';
+import { getSettings, updateSettings } from './settings.js';
+import { isWindowPaused, setWindowPaused } from './exclusions.js';
+import { isGroupKeptAwake, setGroupKeepAwake } from './suspender.js';
+import { GROUP_COLORS } from './rules.js';
+import { EXPORT_FORMATS } from './export-formats.js';
+
+// Keys of the sessions currently listed, in order, for exporting them together
+let shownSessionKeys = [];
 
 document.addEventListener('DOMContentLoaded', async () => {
+    // Grouping controls work on every page, so set them up before page validation
+    await initGroupingControls();
+    await initRecoveryOffer();
+
     // First check if we're on a valid webpage for profile management
     const tab = await getCurrentTab();
     const isValidPage = await validateCurrentPage(tab);
@@ -92,6 +105,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Move the selected profile to the trash
+    document.getElementById('deleteProfile').addEventListener('click', async () => {
+        const profileName = document.getElementById('profileSelect').value;
+        if (!profileName) {
+            showToast('Select a profile to delete', true);
+            return;
+        }
+        const tab = await getCurrentTab();
+        const entry = await chrome.runtime.sendMessage({
+            action: 'trashProfile',
+            profileName,
+            domain: new URL(tab.url).hostname
+        });
+        if (entry?.error) {
+            showToast(`Error deleting profile: ${entry.error}`, true);
+            return;
+        }
+        await loadProfiles();
+        showUndoToast(`Profile "${profileName}" moved to the trash`, entry);
+    });
+
     // Enhanced profile switch handler with better error handling
     document.getElementById('profileSelect').addEventListener('change', async (event) => {
         const profileName = event.target.value;
@@ -165,6 +199,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Search as the user types; an empty query shows the full session list again
+    let searchTimer = null;
+    const searchInput = document.getElementById('sessionSearch');
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => searchSessions(searchInput.value.trim()), 200);
+    });
+    
+    // Narrow the list, or the search results, to a folder and/or tag
+    ['folderFilter', 'tagFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => searchSessions(searchInput.value.trim()));
+    });
+
     // Save session with profile
     document.getElementById('saveSession').addEventListener('click', async () => {
         const nameInput = document.getElementById('sessionName');
@@ -172,24 +219,80 @@ document.addEventListener('DOMContentLoaded', async () => {
         const profileName = document.getElementById('profileSelect').value;
         
         try {
-            await chrome.runtime.sendMessage({
+            const result = await chrome.runtime.sendMessage({
                 action: 'saveSession',
                 name: sessionName,
-                profile: profileName || null
+                profile: profileName || null,
+                track: document.getElementById('trackSession').checked
             });
+            if (result?.error) throw new Error(result.error);
             nameInput.value = '';
             await loadSessions();
             showToast('Session saved successfully');
         } catch (error) {
             console.error('Error saving session:', error);
-            showToast('Error saving session', true);
+            showToast(`Error saving session: ${error.message}`, true);
         }
     });
 
-    // Merge groups button handler
+    // Merge groups button handler: preview the proposed merges before applying them
     document.getElementById('mergeGroups').addEventListener('click', async () => {
-        await chrome.runtime.sendMessage({ action: 'mergeGroups' });
-        showToast('Similar groups merged');
+        const merges = await chrome.runtime.sendMessage({ action: 'planMerge' });
+        if (!merges?.length) {
+            showToast('No similar groups found');
+            return;
+        }
+        renderMergePlan(merges);
+    });
+
+    // Revert the most recent automatic grouping
+    document.getElementById('undoGrouping').addEventListener('click', async () => {
+        const result = await chrome.runtime.sendMessage({ action: 'undoGrouping', count: 1 });
+        if (result?.undone) {
+            showToast('Last grouping undone');
+        } else {
+            showToast(result?.error ? `Error: ${result.error}` : 'Nothing to undo', !!result?.error);
+        }
+    });
+
+    // Close every duplicate tab, keeping one copy of each page
+    document.getElementById('closeDuplicates').addEventListener('click', async () => {
+        const result = await chrome.runtime.sendMessage({ action: 'closeDuplicates' });
+        if (result?.error) {
+            showToast(`Error closing duplicates: ${result.error}`, true);
+        } else {
+            showToast(result?.closed ? `Closed ${result.closed} duplicate tabs` : 'No duplicate tabs found');
+        }
+    });
+
+    // Deleted sessions and profiles can be restored until they expire
+    document.getElementById('showTrash').addEventListener('click', async () => {
+        const panel = document.getElementById('trashPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            await renderTrash();
+        }
+    });
+
+    // Export every listed session, e.g. a whole folder or a tag, in the chosen format
+    const exportFormat = document.getElementById('exportFormat');
+    Object.entries(EXPORT_FORMATS).forEach(([format, details]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = details.label;
+        exportFormat.appendChild(option);
+    });
+    document.getElementById('exportShown').addEventListener('click', () => {
+        if (shownSessionKeys.length === 0) {
+            showToast('No sessions to export', true);
+            return;
+        }
+        exportSessions(shownSessionKeys, `sessions_${new Date().toISOString().slice(0, 10)}`);
+    });
+
+    // Grouping rules live on the options page
+    document.getElementById('openOptions').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
     });
 
     // Import session handler
@@ -203,17 +306,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             const reader = new FileReader();
             reader.onload = async (e) => {
                 const content = e.target.result.split(',')[1]; // Get base64 content
-                const key = await chrome.runtime.sendMessage({
+                const result = await chrome.runtime.sendMessage({
                     action: 'importSession',
                     data: content
                 });
                 
-                if (key) {
+                if (result?.keys) {
                     await loadSessions();
-                    showToast('Session imported successfully');
+                    showToast(result.keys.length === 1
+                        ? `Session imported from ${result.format}`
+                        : `${result.keys.length} sessions imported from ${result.format}`);
                 } else {
-                    showToast('Error importing session', true);
+                    showToast(`Error importing session: ${result?.error || 'unknown error'}`, true);
                 }
+                // Allow importing the same file again
+                event.target.value = '';
             };
             reader.readAsDataURL(file);
         }
@@ -424,19 +531,225 @@ async function loadDomainProfiles(domain) {
     }
 }
 
+// Render proposed group merges with a checkbox each, then apply the accepted ones
+function renderMergePlan(merges) {
+    const container = document.getElementById('mergePlan');
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+    
+    const heading = document.createElement('div');
+    heading.className = 'profile-label';
+    heading.textContent = 'Proposed merges';
+    container.appendChild(heading);
+    
+    const checkboxes = merges.map(merge => {
+        const item = document.createElement('label');
+        item.className = 'merge-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        
+        const description = document.createElement('span');
+        const tabLabel = merge.tabCount === 1 ? 'tab' : 'tabs';
+        description.textContent = `"${merge.sourceTitle || 'Untitled'}" (${merge.tabCount} ${tabLabel}) → "${merge.targetTitle || 'Untitled'}"`;
+        
+        const score = document.createElement('span');
+        score.className = 'merge-score';
+        score.textContent = `${Math.round(merge.similarity * 100)}% similar`;
+        
+        item.appendChild(checkbox);
+        item.appendChild(description);
+        item.appendChild(score);
+        container.appendChild(item);
+        return checkbox;
+    });
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'controls';
+    buttonContainer.style.marginTop = '8px';
+    buttonContainer.style.marginBottom = '0';
+    
+    const applyButton = document.createElement('button');
+    applyButton.textContent = 'Apply Selected';
+    applyButton.addEventListener('click', async () => {
+        const accepted = merges.filter((_, index) => checkboxes[index].checked);
+        container.classList.add('hidden');
+        if (accepted.length === 0) {
+            showToast('No merges selected');
+            return;
+        }
+        
+        const result = await chrome.runtime.sendMessage({ action: 'applyMerge', merges: accepted });
+        const merged = result?.merged || [];
+        if (result?.error) {
+            showToast(`Error merging groups: ${result.error}`, true);
+        } else if (merged.length === 0) {
+            showToast('No groups were merged');
+        } else {
+            const movedTabs = merged.reduce((sum, merge) => sum + merge.movedTabs, 0);
+            showToast(`Merged ${merged.length} groups (${movedTabs} tabs moved)`);
+        }
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.backgroundColor = '#757575';
+    cancelButton.addEventListener('click', () => container.classList.add('hidden'));
+    
+    buttonContainer.appendChild(applyButton);
+    buttonContainer.appendChild(cancelButton);
+    container.appendChild(buttonContainer);
+}
+
+// Show the startup offer to restore the last autosaved state, if there is one
+async function initRecoveryOffer() {
+    const offer = await chrome.runtime.sendMessage({ action: 'getRecoveryOffer' });
+    if (!offer) return;
+    
+    const container = document.getElementById('recoveryOffer');
+    document.getElementById('recoverySummary').textContent =
+        `${offer.tabCount} tabs in ${offer.windowCount} windows, saved ${new Date(offer.timestamp).toLocaleString()}`;
+    container.classList.remove('hidden');
+    
+    document.getElementById('restoreRecovery').addEventListener('click', async () => {
+        container.classList.add('hidden');
+        const result = await chrome.runtime.sendMessage({ action: 'restoreRecovery' });
+        if (result?.error) {
+            showToast(`Error restoring previous state: ${result.error}`, true);
+        } else if (result?.restoredTabs === 0) {
+            showToast('All tabs from the previous state are already open');
+        } else {
+            window.close();
+        }
+    });
+    
+    document.getElementById('dismissRecovery').addEventListener('click', async () => {
+        container.classList.add('hidden');
+        await chrome.runtime.sendMessage({ action: 'dismissRecovery' });
+    });
+}
+
+// Populate the grouping strategy selector and persist changes
+async function initGroupingControls() {
+    const select = document.getElementById('groupingStrategy');
+    const thresholdInput = document.getElementById('groupingThreshold');
+    
+    try {
+        const settings = await getSettings('grouping');
+        
+        Object.entries(GROUPING_STRATEGIES).forEach(([id, strategy]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = strategy.label;
+            select.appendChild(option);
+        });
+        
+        const showStrategy = (currentSettings) => {
+            const { id, threshold } = getStrategy(currentSettings);
+            select.value = id;
+            thresholdInput.value = threshold;
+        };
+        showStrategy(settings);
+        
+        select.addEventListener('change', async () => {
+            const updated = await updateSettings('grouping', { strategy: select.value });
+            showStrategy(updated);
+            showToast(`Grouping by ${GROUPING_STRATEGIES[select.value].label.toLowerCase()}`);
+        });
+        
+        thresholdInput.addEventListener('change', async () => {
+            const threshold = parseFloat(thresholdInput.value);
+            if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+                showToast('Threshold must be between 0 and 1', true);
+                return;
+            }
+            const current = await getSettings('grouping');
+            await updateSettings('grouping', {
+                thresholds: { ...current.thresholds, [select.value]: threshold }
+            });
+            showToast('Grouping threshold updated');
+        });
+        
+        document.getElementById('consolidateWindows').addEventListener('click', async () => {
+            const result = await chrome.runtime.sendMessage({
+                action: 'consolidateWindows',
+                mode: document.getElementById('consolidateMode').value,
+                closeEmpty: document.getElementById('closeEmptyWindows').checked
+            });
+            if (result?.error) {
+                showToast(`Error consolidating windows: ${result.error}`, true);
+            } else if (!result?.movedTabs) {
+                showToast('Nothing to consolidate');
+            } else {
+                const created = result.createdWindows ? `, ${result.createdWindows} windows opened` : '';
+                const closed = result.closedWindows ? `, ${result.closedWindows} windows closed` : '';
+                showToast(`Moved ${result.movedGroups} groups and ${result.movedTabs} tabs${created}${closed}`);
+            }
+        });
+        
+        const pauseToggle = document.getElementById('pauseWindowGrouping');
+        const currentWindow = await chrome.windows.getCurrent();
+        pauseToggle.checked = await isWindowPaused(currentWindow.id);
+        pauseToggle.addEventListener('change', async () => {
+            await setWindowPaused(currentWindow.id, pauseToggle.checked);
+            showToast(pauseToggle.checked ? 'Auto grouping paused in this window' : 'Auto grouping resumed');
+        });
+        
+        // Keep-awake applies to the group of the active tab, if it has one
+        const keepAwakeToggle = document.getElementById('keepGroupAwake');
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const activeGroupId = activeTab?.groupId ?? -1;
+        keepAwakeToggle.disabled = activeGroupId === -1;
+        keepAwakeToggle.checked = activeGroupId !== -1 && await isGroupKeptAwake(activeGroupId);
+        keepAwakeToggle.addEventListener('change', async () => {
+            await setGroupKeepAwake(activeGroupId, keepAwakeToggle.checked);
+            showToast(keepAwakeToggle.checked ? 'Group will stay awake' : 'Group can be suspended when idle');
+        });
+    } catch (error) {
+        console.error('Error loading grouping settings:', error);
+    }
+}
+
+// Fill a filter select with the given values, keeping the current choice while it still exists
+function updateFilterOptions(select, values, allText) {
+    const selected = select.value;
+    select.innerHTML = '';
+    [['', allText], ...values.map(value => [value, value])].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    select.value = values.includes(selected) ? selected : '';
+}
+
+// Whether a session is in the folder and has the tag picked in the filters
+function matchesSessionFilters(session) {
+    const folder = document.getElementById('folderFilter').value;
+    const tag = document.getElementById('tagFilter').value;
+    return (!folder || session.folder === folder) && (!tag || (session.tags || []).includes(tag));
+}
+
 // Load and display saved sessions
 async function loadSessions() {
     const sessionList = document.getElementById('sessionList');
     sessionList.innerHTML = '';
     
     try {
-        const storage = await chrome.storage.sync.get(null);
-        const sessions = Object.entries(storage)
-            .filter(([key]) => key.startsWith('session_'))
-            .sort(([, a], [, b]) => b.timestamp - a.timestamp);
+        // Summaries from the session index, pinned first and then newest first
+        const sessions = await chrome.runtime.sendMessage({ action: 'listSessions' }) || [];
+        
+        const sortedValues = values => [...new Set(values)].sort((a, b) => a.localeCompare(b));
+        updateFilterOptions(document.getElementById('folderFilter'),
+            sortedValues(sessions.map(session => session.folder).filter(Boolean)), 'All folders');
+        updateFilterOptions(document.getElementById('tagFilter'),
+            sortedValues(sessions.flatMap(session => session.tags || [])), 'All tags');
 
-        sessions.forEach(([key, session]) => {
-            const sessionElement = createSessionElement(key, session);
+        const shown = sessions.filter(matchesSessionFilters);
+        shownSessionKeys = shown.map(session => session.key);
+        shown.forEach(session => {
+            const sessionElement = createSessionElement(session.key, session);
             sessionList.appendChild(sessionElement);
         });
     } catch (error) {
@@ -444,28 +757,161 @@ async function loadSessions() {
     }
 }
 
-// Export session
-async function exportSession(key, session) {
-    const exportedData = await chrome.runtime.sendMessage({
-        action: 'exportSession',
-        sessionKey: key
+// Show sessions and tabs matching the query, or every session when it is empty
+async function searchSessions(query) {
+    if (!query) {
+        await loadSessions();
+        return;
+    }
+    
+    const sessionList = document.getElementById('sessionList');
+    try {
+        const results = (await chrome.runtime.sendMessage({ action: 'searchSessions', query }) || [])
+            .filter(matchesSessionFilters);
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        sessionList.innerHTML = '';
+        if (results.length === 0) {
+            shownSessionKeys = [];
+            sessionList.textContent = 'No matching sessions or tabs';
+            return;
+        }
+        shownSessionKeys = results.map(result => result.key);
+        results.forEach(result => sessionList.appendChild(createSearchResultElement(result, terms)));
+    } catch (error) {
+        console.error('Error searching sessions:', error);
+    }
+}
+
+// Append text to an element with every occurrence of the search terms wrapped in <mark>
+function appendHighlighted(element, text, terms) {
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+    text.split(pattern).forEach((part, index) => {
+        // split() with a capture group puts the matches at odd indexes
+        if (index % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else if (part) {
+            element.appendChild(document.createTextNode(part));
+        }
     });
+}
+
+// A matching session with its matching tabs; clicking a tab opens just that tab
+function createSearchResultElement(result, terms) {
+    const div = document.createElement('div');
+    div.className = 'search-result';
     
-    if (exportedData) {
+    const header = document.createElement('div');
+    header.className = 'search-result-header';
+    
+    const title = document.createElement('div');
+    title.className = 'session-title';
+    appendHighlighted(title, result.name, terms);
+    if (result.profile) {
+        const profileTag = document.createElement('span');
+        profileTag.className = 'profile-tag';
+        appendHighlighted(profileTag, result.profile, terms);
+        title.appendChild(profileTag);
+    }
+    // Folder and tags count towards a session match, so show them highlighted too
+    [...(result.folder ? [`📁 ${result.folder}`] : []), ...result.tags.map(tag => `#${tag}`)].forEach(text => {
+        const label = document.createElement('span');
+        label.className = 'session-label';
+        appendHighlighted(label, text, terms);
+        title.appendChild(label);
+    });
+    const matchCount = document.createElement('span');
+    matchCount.className = 'tab-count';
+    matchCount.textContent = result.matchCount === 1 ? '1 matching tab' : `${result.matchCount} matching tabs`;
+    title.appendChild(matchCount);
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'restoreSession', sessionKey: result.key });
+        window.close();
+    });
+    
+    header.appendChild(title);
+    header.appendChild(restoreButton);
+    div.appendChild(header);
+    
+    result.tabs.forEach(tab => {
+        const item = document.createElement('div');
+        item.className = 'search-tab';
+        item.title = `Open ${tab.url}`;
+        
+        const tabTitle = document.createElement('div');
+        if (tab.group) {
+            const groupTag = document.createElement('span');
+            groupTag.className = 'profile-tag';
+            groupTag.style.marginLeft = '0';
+            groupTag.style.marginRight = '4px';
+            appendHighlighted(groupTag, tab.group, terms);
+            tabTitle.appendChild(groupTag);
+        }
+        appendHighlighted(tabTitle, tab.title || tab.url, terms);
+        
+        const tabUrl = document.createElement('div');
+        tabUrl.className = 'search-tab-url';
+        appendHighlighted(tabUrl, tab.url, terms);
+        
+        item.appendChild(tabTitle);
+        item.appendChild(tabUrl);
+        item.addEventListener('click', async () => {
+            await chrome.tabs.create({ url: tab.url });
+            window.close();
+        });
+        div.appendChild(item);
+    });
+    
+    return div;
+}
+
+// Export sessions in the format chosen in the popup and download them as baseName.<extension>
+async function exportSessions(keys, baseName) {
+    const exported = await chrome.runtime.sendMessage({
+        action: 'exportSessions',
+        sessionKeys: keys,
+        format: document.getElementById('exportFormat').value
+    });
+    
+    if (exported?.error) {
+        showToast(`Error exporting: ${exported.error}`, true);
+        return;
+    }
+    if (exported?.data) {
         // Create and trigger download
-        const blob = new Blob([exportedData], { type: 'application/json' });
+        const blob = new Blob([exported.data], { type: exported.mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${session.name.replace(/[^a-z0-9]/gi, '_')}_session.json`;
+        a.download = `${baseName.replace(/[^a-z0-9-]/gi, '_')}.${exported.extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        showToast('Session exported successfully');
+        showToast(keys.length === 1 ? 'Session exported successfully' : `${keys.length} sessions exported`);
     }
 }
 
+// Show a session's folder and tags next to its name
+function renderSessionLabels(container, session) {
+    container.innerHTML = '';
+    const labels = [
+        ...(session.folder ? [`📁 ${session.folder}`] : []),
+        ...(session.tags || []).map(tag => `#${tag}`)
+    ];
+    labels.forEach(text => {
+        const label = document.createElement('span');
+        label.className = 'session-label';
+        label.textContent = text;
+        container.appendChild(label);
+    });
+}
+
 // Create session element
 function createSessionElement(key, session) {
     const div = document.createElement('div');
@@ -476,7 +922,28 @@ function createSessionElement(key, session) {
     
     const title = document.createElement('div');
     title.className = 'session-title';
-    title.textContent = session.name;
+    
+    // Pinned sessions stay at the top of the list and are never cleaned up automatically
+    const pinToggle = document.createElement('span');
+    pinToggle.className = session.pinned ? 'pin-toggle pinned' : 'pin-toggle';
+    pinToggle.textContent = session.pinned ? '★' : '☆';
+    pinToggle.title = session.pinned ? 'Unpin' : 'Pin to the top';
+    pinToggle.addEventListener('click', async () => {
+        const result = await chrome.runtime.sendMessage({
+            action: 'updateSession',
+            sessionKey: key,
+            edits: [{ type: 'setPinned', pinned: !session.pinned }]
+        });
+        if (result?.error) {
+            showToast(`Error editing session: ${result.error}`, true);
+            return;
+        }
+        await loadSessions();
+    });
+    title.appendChild(pinToggle);
+    
+    const nameText = document.createTextNode(session.name);
+    title.appendChild(nameText);
     
     if (session.profile) {
         const profileTag = document.createElement('span');
@@ -485,10 +952,27 @@ function createSessionElement(key, session) {
         title.appendChild(profileTag);
     }
     
+    // Live sessions follow their windows; clicking the tag stops that
+    if (session.live) {
+        const liveTag = document.createElement('span');
+        liveTag.className = 'live-tag';
+        liveTag.textContent = '● Live';
+        liveTag.title = 'Updated as its windows change. Click to stop tracking.';
+        liveTag.addEventListener('click', async () => {
+            if (!confirm(`Stop keeping "${session.name}" updated?`)) return;
+            await chrome.runtime.sendMessage({ action: 'untrackSession', sessionKey: key });
+            await loadSessions();
+        });
+        title.appendChild(liveTag);
+    }
+    
+    const labels = document.createElement('span');
+    renderSessionLabels(labels, session);
+    title.appendChild(labels);
+    
     const tabCount = document.createElement('span');
     tabCount.className = 'tab-count';
-    const totalTabs = session.windows.reduce((sum, win) => sum + win.tabs.length, 0);
-    tabCount.textContent = `${totalTabs} tabs`;
+    tabCount.textContent = `${session.tabCount} tabs`;
     title.appendChild(tabCount);
     
     const date = document.createElement('div');
@@ -513,36 +997,670 @@ function createSessionElement(key, session) {
         }
     });
     
+    // Expand to pick what to restore and where
+    const chooseButton = document.createElement('button');
+    chooseButton.textContent = '▾';
+    chooseButton.title = 'Choose what to restore';
+    const picker = document.createElement('div');
+    picker.className = 'restore-picker hidden';
+    chooseButton.addEventListener('click', async () => {
+        const expanding = picker.classList.contains('hidden');
+        picker.classList.toggle('hidden');
+        chooseButton.textContent = expanding ? '▴' : '▾';
+        if (expanding && !picker.hasChildNodes()) {
+            try {
+                await renderRestorePicker(picker, key);
+            } catch (error) {
+                console.error('Error loading session:', error);
+                picker.textContent = 'Could not load this session';
+            }
+        }
+    });
+    
+    // Expand to edit the session without restoring it
+    const editButton = document.createElement('button');
+    editButton.textContent = '✎';
+    editButton.title = 'Edit session';
+    const editor = document.createElement('div');
+    editor.className = 'session-editor hidden';
+    editButton.addEventListener('click', async () => {
+        const expanding = editor.classList.contains('hidden');
+        editor.classList.toggle('hidden');
+        if (expanding) {
+            try {
+                const current = await chrome.runtime.sendMessage({ action: 'getSession', sessionKey: key });
+                renderSessionEditor(editor, key, current, (edited) => {
+                    nameText.textContent = edited.name;
+                    renderSessionLabels(labels, edited);
+                    const totalTabs = edited.windows.reduce((sum, win) => sum + win.tabs.length, 0);
+                    tabCount.textContent = `${totalTabs} tabs`;
+                });
+            } catch (error) {
+                console.error('Error loading session:', error);
+                editor.textContent = 'Could not load this session';
+            }
+        }
+    });
+    
+    // Expand to compare and revert earlier versions
+    const historyButton = document.createElement('button');
+    historyButton.textContent = '🕘';
+    historyButton.title = 'Version history';
+    const historyPanel = document.createElement('div');
+    historyPanel.className = 'history-panel hidden';
+    historyButton.addEventListener('click', async () => {
+        const expanding = historyPanel.classList.contains('hidden');
+        historyPanel.classList.toggle('hidden');
+        if (expanding) {
+            try {
+                await renderHistoryPanel(historyPanel, key, session);
+            } catch (error) {
+                console.error('Error loading session history:', error);
+                historyPanel.textContent = 'Could not load the history of this session';
+            }
+        }
+    });
+    
     const exportButton = document.createElement('button');
     exportButton.textContent = 'Export';
     exportButton.className = 'share-button';
-    exportButton.addEventListener('click', () => exportSession(key, session));
+    exportButton.addEventListener('click', () => exportSessions([key], `${session.name}_session`));
     
     const deleteButton = document.createElement('button');
     deleteButton.textContent = 'Delete';
     deleteButton.style.backgroundColor = '#dc3545';
     deleteButton.addEventListener('click', async () => {
-        try {
-            await chrome.storage.sync.remove(key);
-            await loadSessions();
-        } catch (error) {
-            console.error('Error deleting session:', error);
+        const entry = await chrome.runtime.sendMessage({ action: 'trashSession', sessionKey: key });
+        if (entry?.error) {
+            showToast(`Error deleting session: ${entry.error}`, true);
+            return;
         }
+        await loadSessions();
+        showUndoToast(`"${session.name}" moved to the trash`, entry);
     });
     
     info.appendChild(title);
     info.appendChild(date);
     div.appendChild(info);
     buttonContainer.appendChild(restoreButton);
+    buttonContainer.appendChild(chooseButton);
+    buttonContainer.appendChild(editButton);
+    buttonContainer.appendChild(historyButton);
     buttonContainer.appendChild(exportButton);
     buttonContainer.appendChild(deleteButton);
     div.appendChild(buttonContainer);
+    div.appendChild(picker);
+    div.appendChild(editor);
+    div.appendChild(historyPanel);
     
     return div;
 }
 
+// Edit a session in place: rename it, file it in a folder, tag it, edit its groups, and remove,
+// move or transfer selected tabs.
+// Every change goes through the background and the editor is redrawn from the saved result.
+async function renderSessionEditor(container, key, session, onChange) {
+    container.innerHTML = '';
+    if (!session) {
+        container.textContent = 'Could not load this session';
+        return;
+    }
+    
+    const applyResult = (result, message) => {
+        if (result?.error) {
+            showToast(`Error editing session: ${result.error}`, true);
+            return;
+        }
+        onChange(result.session);
+        renderSessionEditor(container, key, result.session, onChange);
+        showToast(message);
+    };
+    const sendEdits = async (edits, message) => {
+        applyResult(await chrome.runtime.sendMessage({ action: 'updateSession', sessionKey: key, edits }), message);
+    };
+    
+    const nameControls = document.createElement('div');
+    nameControls.className = 'controls';
+    nameControls.style.marginBottom = '0';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = session.name;
+    const renameButton = document.createElement('button');
+    renameButton.textContent = 'Rename';
+    renameButton.addEventListener('click', () => sendEdits([{ type: 'rename', name: nameInput.value }], 'Session renamed'));
+    nameControls.appendChild(nameInput);
+    nameControls.appendChild(renameButton);
+    container.appendChild(nameControls);
+    
+    // Tagging a session "keep" protects it from automatic cleanup
+    const organizeControls = document.createElement('div');
+    organizeControls.className = 'controls';
+    organizeControls.style.margin = '8px 0 0';
+    const folderInput = document.createElement('input');
+    folderInput.type = 'text';
+    folderInput.value = session.folder || '';
+    folderInput.placeholder = 'Folder';
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.value = (session.tags || []).join(', ');
+    tagsInput.placeholder = 'Tags, comma separated';
+    const organizeButton = document.createElement('button');
+    organizeButton.textContent = 'Save';
+    organizeButton.addEventListener('click', () => sendEdits([
+        { type: 'setFolder', folder: folderInput.value },
+        { type: 'setTags', tags: tagsInput.value.split(',') }
+    ], 'Folder and tags saved'));
+    organizeControls.appendChild(folderInput);
+    organizeControls.appendChild(tagsInput);
+    organizeControls.appendChild(organizeButton);
+    container.appendChild(organizeControls);
+    
+    // Tabs and groups are referenced by their position in the session as loaded
+    const tabCheckboxes = [];
+    const moveTargets = [];
+    session.windows.forEach((win, windowIndex) => {
+        const windowHeader = document.createElement('div');
+        windowHeader.className = 'editor-window';
+        windowHeader.textContent = `Window ${windowIndex + 1}`;
+        container.appendChild(windowHeader);
+        moveTargets.push({ value: JSON.stringify({ window: windowIndex }), text: `Window ${windowIndex + 1}` });
+        
+        const shownGroups = new Set();
+        win.tabs.forEach((tab, tabIndex) => {
+            const group = tab.group !== null ? win.groups.find(g => g.id === tab.group) : null;
+            if (group && !shownGroups.has(group.id)) {
+                shownGroups.add(group.id);
+                const ref = `${windowIndex}:${group.id}`;
+                moveTargets.push({
+                    value: JSON.stringify({ group: ref }),
+                    text: `Group "${group.title || 'Untitled'}" (window ${windowIndex + 1})`
+                });
+                
+                const groupRow = document.createElement('div');
+                groupRow.className = 'editor-group';
+                const titleInput = document.createElement('input');
+                titleInput.type = 'text';
+                titleInput.value = group.title || '';
+                titleInput.placeholder = 'Untitled group';
+                titleInput.addEventListener('change', () =>
+                    sendEdits([{ type: 'updateGroup', group: ref, title: titleInput.value }], 'Group renamed'));
+                const colorSelect = document.createElement('select');
+                GROUP_COLORS.forEach(color => {
+                    const option = document.createElement('option');
+                    option.value = color;
+                    option.textContent = color;
+                    option.selected = color === group.color;
+                    colorSelect.appendChild(option);
+                });
+                colorSelect.addEventListener('change', () =>
+                    sendEdits([{ type: 'updateGroup', group: ref, color: colorSelect.value }], 'Group color changed'));
+                groupRow.appendChild(titleInput);
+                groupRow.appendChild(colorSelect);
+                container.appendChild(groupRow);
+            }
+            
+            const label = document.createElement('label');
+            label.className = group ? 'editor-tab grouped' : 'editor-tab';
+            label.title = tab.url;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${tab.title || tab.url}`));
+            container.appendChild(label);
+            tabCheckboxes.push({ ref: `${windowIndex}:${tabIndex}`, checkbox });
+        });
+    });
+    moveTargets.push({ value: JSON.stringify({ window: 'new' }), text: 'New window' });
+    
+    const selectedTabs = () => {
+        const refs = tabCheckboxes.filter(entry => entry.checkbox.checked).map(entry => entry.ref);
+        if (refs.length === 0) showToast('No tabs selected');
+        return refs;
+    };
+    
+    const createControls = () => {
+        const controls = document.createElement('div');
+        controls.className = 'controls';
+        controls.style.marginTop = '8px';
+        controls.style.marginBottom = '0';
+        container.appendChild(controls);
+        return controls;
+    };
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    
+    // Remove or move the selected tabs within this session
+    const moveControls = createControls();
+    const moveSelect = document.createElement('select');
+    moveTargets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.value;
+        option.textContent = target.text;
+        moveSelect.appendChild(option);
+    });
+    moveControls.appendChild(moveSelect);
+    moveControls.appendChild(createButton('Move', () => {
+        const refs = selectedTabs();
+        if (refs.length === 0) return;
+        const target = JSON.parse(moveSelect.value);
+        sendEdits(refs.map(tab => ({ type: 'moveTab', tab, ...target })), 'Tabs moved');
+    }));
+    const removeButton = createButton('Remove', () => {
+        const refs = selectedTabs();
+        if (refs.length === 0) return;
+        sendEdits(refs.map(tab => ({ type: 'removeTab', tab })), 'Tabs removed');
+    });
+    removeButton.style.backgroundColor = '#dc3545';
+    moveControls.appendChild(removeButton);
+    
+    // Move or copy the selected tabs into another saved session
+    const sessions = (await chrome.runtime.sendMessage({ action: 'listSessions' }) || [])
+        .filter(other => other.key !== key);
+    if (sessions.length === 0) return;
+    
+    const transferControls = createControls();
+    const sessionSelect = document.createElement('select');
+    sessions.forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.key;
+        option.textContent = other.name;
+        sessionSelect.appendChild(option);
+    });
+    const transfer = async (copy) => {
+        const refs = selectedTabs();
+        if (refs.length === 0) return;
+        const result = await chrome.runtime.sendMessage({
+            action: 'transferTabs',
+            sessionKey: key,
+            targetKey: sessionSelect.value,
+            tabs: refs,
+            copy
+        });
+        const targetName = sessionSelect.selectedOptions[0].textContent;
+        applyResult(result, copy ? `Tabs copied to "${targetName}"` : `Tabs moved to "${targetName}"`);
+    };
+    transferControls.appendChild(sessionSelect);
+    transferControls.appendChild(createButton('Copy', () => transfer(true)));
+    transferControls.appendChild(createButton('Move', () => transfer(false)));
+}
+
+// Put a trashed session or profile back and refresh the lists it shows up in
+async function restoreTrashEntry(entry) {
+    const result = await chrome.runtime.sendMessage({ action: 'restoreFromTrash', id: entry.id });
+    if (result?.error) {
+        showToast(`Error restoring ${entry.kind}: ${result.error}`, true);
+        return false;
+    }
+    if (result.kind === 'session') {
+        await loadSessions();
+    } else {
+        await loadProfiles();
+    }
+    showToast(`"${entry.name}" restored`);
+    return true;
+}
+
+// Confirm a deletion with a toast that can take it back
+function showUndoToast(message, entry) {
+    showToast(message, false, {
+        label: 'Undo',
+        onClick: () => restoreTrashEntry(entry)
+    });
+}
+
+// List the trash with a way to restore or purge each item before it expires
+async function renderTrash() {
+    const container = document.getElementById('trashPanel');
+    container.innerHTML = '';
+    
+    const heading = document.createElement('div');
+    heading.className = 'profile-label';
+    heading.textContent = 'Trash';
+    container.appendChild(heading);
+    
+    const entries = await chrome.runtime.sendMessage({ action: 'listTrash' }) || [];
+    if (entries.length === 0) {
+        container.appendChild(document.createTextNode('The trash is empty'));
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+        
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        const title = document.createElement('div');
+        title.className = 'session-title';
+        title.textContent = entry.name;
+        const kindTag = document.createElement('span');
+        kindTag.className = 'profile-tag';
+        kindTag.textContent = entry.kind;
+        title.appendChild(kindTag);
+        const details = document.createElement('div');
+        details.className = 'session-date';
+        const daysLeft = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+        details.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleString()}` +
+            (entry.reason ? ` (${entry.reason})` : '') +
+            `, gone for good in ${daysLeft === 1 ? '1 day' : `${daysLeft} days`}`;
+        info.appendChild(title);
+        info.appendChild(details);
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore';
+        restoreButton.addEventListener('click', async () => {
+            if (await restoreTrashEntry(entry)) await renderTrash();
+        });
+        
+        const purgeButton = document.createElement('button');
+        purgeButton.textContent = 'Delete';
+        purgeButton.style.backgroundColor = '#dc3545';
+        purgeButton.addEventListener('click', async () => {
+            if (!confirm(`Delete "${entry.name}" for good?`)) return;
+            await chrome.runtime.sendMessage({ action: 'purgeTrash', ids: [entry.id] });
+            await renderTrash();
+        });
+        
+        item.appendChild(info);
+        item.appendChild(restoreButton);
+        item.appendChild(purgeButton);
+        container.appendChild(item);
+    });
+    
+    const emptyControls = document.createElement('div');
+    emptyControls.className = 'controls';
+    emptyControls.style.margin = '8px 0 0';
+    const emptyButton = document.createElement('button');
+    emptyButton.textContent = 'Empty Trash';
+    emptyButton.style.backgroundColor = '#dc3545';
+    emptyButton.addEventListener('click', async () => {
+        if (!confirm(`Delete all ${entries.length} items in the trash for good?`)) return;
+        await chrome.runtime.sendMessage({ action: 'purgeTrash' });
+        await renderTrash();
+    });
+    emptyControls.appendChild(emptyButton);
+    container.appendChild(emptyControls);
+}
+
+// Label for a session version
+function describeVersion(version) {
+    const when = new Date(version.time).toLocaleString();
+    return version.id === 'current'
+        ? `Current (${version.tabCount} tabs)`
+        : `${when} (${version.tabCount} tabs)`;
+}
+
+// List a session's versions with revert buttons, and compare any two of them
+async function renderHistoryPanel(container, key, session) {
+    container.innerHTML = '';
+    const versions = await chrome.runtime.sendMessage({ action: 'listSessionVersions', sessionKey: key }) || [];
+    if (versions.length < 2) {
+        container.textContent = 'No earlier versions yet';
+        return;
+    }
+    
+    versions.forEach(version => {
+        const item = document.createElement('div');
+        item.className = 'version-item';
+        item.textContent = describeVersion(version);
+        if (version.id !== 'current') {
+            const revertButton = document.createElement('button');
+            revertButton.textContent = 'Revert';
+            revertButton.addEventListener('click', async () => {
+                if (!confirm(`Revert "${session.name}" to the version from ${new Date(version.time).toLocaleString()}?`)) return;
+                const result = await chrome.runtime.sendMessage({
+                    action: 'revertSession',
+                    sessionKey: key,
+                    versionId: version.id
+                });
+                if (result?.error) {
+                    showToast(`Error reverting session: ${result.error}`, true);
+                } else {
+                    showToast('Session reverted');
+                    await loadSessions();
+                }
+            });
+            item.appendChild(revertButton);
+        }
+        container.appendChild(item);
+    });
+    
+    // Compare the previous version with the current one unless told otherwise
+    const createVersionSelect = (selectedId) => {
+        const select = document.createElement('select');
+        versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version.id;
+            option.textContent = describeVersion(version);
+            option.selected = version.id === selectedId;
+            select.appendChild(option);
+        });
+        return select;
+    };
+    const fromSelect = createVersionSelect(versions[1].id);
+    const toSelect = createVersionSelect('current');
+    
+    const compareControls = document.createElement('div');
+    compareControls.className = 'controls';
+    compareControls.style.marginTop = '8px';
+    compareControls.style.marginBottom = '0';
+    
+    const diffOutput = document.createElement('div');
+    const compareButton = document.createElement('button');
+    compareButton.textContent = 'Compare';
+    compareButton.addEventListener('click', async () => {
+        const diff = await chrome.runtime.sendMessage({
+            action: 'diffSessionVersions',
+            sessionKey: key,
+            from: fromSelect.value,
+            to: toSelect.value
+        });
+        if (diff?.error) {
+            showToast(`Error comparing versions: ${diff.error}`, true);
+            return;
+        }
+        renderSessionDiff(diffOutput, diff);
+    });
+    
+    compareControls.appendChild(fromSelect);
+    compareControls.appendChild(toSelect);
+    compareControls.appendChild(compareButton);
+    container.appendChild(compareControls);
+    container.appendChild(diffOutput);
+}
+
+// Show tabs added, removed and moved and groups renamed between two versions
+function renderSessionDiff(container, diff) {
+    container.innerHTML = '';
+    const lines = [
+        ...diff.renamedGroups.map(group => ['diff-renamed', `Group "${group.from || 'Untitled'}" renamed to "${group.to || 'Untitled'}"`]),
+        ...diff.addedTabs.map(tab => ['diff-added', `+ ${tab.title || tab.url}`]),
+        ...diff.removedTabs.map(tab => ['diff-removed', `− ${tab.title || tab.url}`]),
+        ...diff.movedTabs.map(tab => ['diff-moved', tab.fromWindow === tab.window
+            ? `↕ ${tab.title || tab.url} (position ${tab.fromIndex + 1} → ${tab.toIndex + 1})`
+            : `↔ ${tab.title || tab.url} (window ${tab.fromWindow + 1} → ${tab.window + 1})`])
+    ];
+    if (lines.length === 0) {
+        container.textContent = 'No differences';
+        return;
+    }
+    lines.forEach(([className, text]) => {
+        const line = document.createElement('div');
+        line.className = `diff-line ${className}`;
+        line.textContent = text;
+        line.title = text;
+        container.appendChild(line);
+    });
+}
+
+// Checkbox with a text label, checked by default
+function createPickerCheckbox(className, text, onChange) {
+    const label = document.createElement('label');
+    label.className = className;
+    label.title = text;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    if (onChange) {
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    }
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    return { label, checkbox };
+}
+
+// List a session's windows, groups and tabs with checkboxes, plus where to restore them
+async function renderRestorePicker(container, key) {
+    const session = await chrome.runtime.sendMessage({ action: 'getSession', sessionKey: key });
+    if (!session) {
+        container.textContent = 'Could not load this session';
+        return;
+    }
+    
+    const tabCheckboxes = [];
+    session.windows.forEach((win, windowIndex) => {
+        const windowTabBoxes = [];
+        const windowEntry = createPickerCheckbox(
+            'picker-window',
+            `Window ${windowIndex + 1} (${win.tabs.length} tabs)`,
+            checked => windowTabBoxes.forEach(box => { box.checked = checked; })
+        );
+        container.appendChild(windowEntry.label);
+        
+        // A group's tabs are contiguous, so its entry goes right before its first tab
+        const groupTabBoxes = new Map();
+        win.tabs.forEach((tab, tabIndex) => {
+            if (tab.group !== null && !groupTabBoxes.has(tab.group)) {
+                const group = win.groups.find(g => g.id === tab.group);
+                const members = [];
+                groupTabBoxes.set(tab.group, members);
+                const groupEntry = createPickerCheckbox(
+                    'picker-group',
+                    group?.title || 'Untitled group',
+                    checked => members.forEach(box => { box.checked = checked; })
+                );
+                windowTabBoxes.push(groupEntry.checkbox);
+                container.appendChild(groupEntry.label);
+            }
+            
+            const tabEntry = createPickerCheckbox(
+                tab.group !== null ? 'picker-tab grouped' : 'picker-tab',
+                tab.title || tab.url
+            );
+            windowTabBoxes.push(tabEntry.checkbox);
+            groupTabBoxes.get(tab.group)?.push(tabEntry.checkbox);
+            tabCheckboxes.push({ window: windowIndex, tab: tabIndex, checkbox: tabEntry.checkbox });
+            container.appendChild(tabEntry.label);
+        });
+    });
+    
+    const modeControls = document.createElement('div');
+    modeControls.className = 'controls';
+    modeControls.style.marginTop = '8px';
+    modeControls.style.marginBottom = '0';
+    
+    const modeSelect = document.createElement('select');
+    [
+        ['new', 'In new windows'],
+        ['current', 'Into this window'],
+        ['append', 'Into another window'],
+        ['replace', "Replace this window's tabs"],
+        ['live', 'In new windows, kept live (all tabs)']
+    ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        modeSelect.appendChild(option);
+    });
+    
+    // Other open windows, named after their active tab
+    const currentWindow = await chrome.windows.getCurrent();
+    const otherWindows = (await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+        .filter(win => win.id !== currentWindow.id);
+    const windowSelect = document.createElement('select');
+    windowSelect.classList.add('hidden');
+    otherWindows.forEach(win => {
+        const option = document.createElement('option');
+        option.value = win.id;
+        const activeTab = win.tabs.find(tab => tab.active);
+        option.textContent = `${activeTab?.title || 'Window'} (${win.tabs.length} tabs)`;
+        windowSelect.appendChild(option);
+    });
+    modeSelect.addEventListener('change', () => {
+        windowSelect.classList.toggle('hidden', modeSelect.value !== 'append');
+    });
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.textContent = 'Restore Selected';
+    restoreButton.addEventListener('click', async () => {
+        const selection = [];
+        tabCheckboxes.filter(entry => entry.checkbox.checked).forEach(entry => {
+            let windowSelection = selection.find(item => item.window === entry.window);
+            if (!windowSelection) {
+                windowSelection = { window: entry.window, tabs: [] };
+                selection.push(windowSelection);
+            }
+            windowSelection.tabs.push(entry.tab);
+        });
+        if (selection.length === 0) {
+            showToast('No tabs selected');
+            return;
+        }
+        
+        const mode = modeSelect.value;
+        if (mode === 'live') {
+            // A live session always reopens every tab so its windows mirror the saved ones
+            const result = await chrome.runtime.sendMessage({
+                action: 'restoreSession',
+                sessionKey: key,
+                options: { track: true }
+            });
+            if (result?.error) {
+                showToast(`Error restoring session: ${result.error}`, true);
+            } else {
+                window.close();
+            }
+            return;
+        }
+        if (mode === 'append' && otherWindows.length === 0) {
+            showToast('No other window is open', true);
+            return;
+        }
+        
+        const result = await chrome.runtime.sendMessage({
+            action: 'restoreSession',
+            sessionKey: key,
+            options: {
+                mode,
+                targetWindowId: mode === 'append' ? Number(windowSelect.value) : currentWindow.id,
+                selection
+            }
+        });
+        if (result?.error) {
+            showToast(`Error restoring session: ${result.error}`, true);
+        } else if (result?.restoredTabs === 0) {
+            showToast('All selected tabs are already open');
+        } else {
+            window.close();
+        }
+    });
+    
+    modeControls.appendChild(modeSelect);
+    modeControls.appendChild(windowSelect);
+    modeControls.appendChild(restoreButton);
+    container.appendChild(modeControls);
+}
+
 // Enhanced showToast function with more visible styling
-function showToast(message, isError = false) {
+// With an action ({ label, onClick }) the toast gets a button and stays up longer
+function showToast(message, isError = false, action = null) {
+    const duration = action ? 6000 : 3000;
     const toast = document.createElement('div');
     toast.className = 'toast';
     if (isError) {
@@ -553,14 +1671,24 @@ function showToast(message, isError = false) {
         toast.style.boxShadow = '0 2px 5px rgba(40, 167, 69, 0.2)';
     }
     toast.style.zIndex = '1000';
+    toast.style.animationDuration = `${duration}ms`;
     toast.textContent = message;
+    if (action) {
+        const button = document.createElement('button');
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
     document.body.appendChild(toast);
     setTimeout(() => {
         if (document.body.contains(toast)) {
             toast.style.opacity = '0';
-            setTimeout(() => document.body.removeChild(toast), 300);
+            setTimeout(() => toast.remove(), 300);
         }
-    }, 3000);
+    }, duration);
 }
 
 // Enhanced getCurrentTab function with validation
@@ -0,0 +1,105 @@
+import { storageSet, storageGet, storageRemove } from './utils.js';
+
+// Recovery snapshots live in local storage, apart from the user's named sessions.
+// The index holds their summaries, oldest first; each snapshot is stored compressed under its own key.
+const SNAPSHOT_INDEX_KEY = 'recoverySnapshots';
+const SNAPSHOT_PREFIX = 'recovery_';
+const RECOVERY_OFFER_KEY = 'recoveryOffer';
+
+// Serialize index updates so overlapping autosaves don't drop snapshots
+let snapshotUpdates = Promise.resolve();
+
+function updateSnapshots(update) {
+    const result = snapshotUpdates.then(async () => {
+        const data = await chrome.storage.local.get([SNAPSHOT_INDEX_KEY, RECOVERY_OFFER_KEY]);
+        const { snapshots, value } = await update(data[SNAPSHOT_INDEX_KEY] || [], data[RECOVERY_OFFER_KEY]);
+        await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: snapshots });
+        return value;
+    });
+    snapshotUpdates = result.catch(error => {
+        console.error('Error updating recovery snapshots:', error);
+    });
+    return result;
+}
+
+// Short hash of the session layout, used to skip snapshots identical to the previous one
+function fingerprint(session) {
+    const layout = JSON.stringify(session.windows.map(win => [
+        win.tabs.map(tab => [tab.url, tab.group, tab.pinned]),
+        win.groups.map(group => [group.title, group.color])
+    ]));
+    let hash = 5381;
+    for (let i = 0; i < layout.length; i++) {
+        hash = ((hash << 5) + hash + layout.charCodeAt(i)) | 0;
+    }
+    return `${layout.length}:${hash >>> 0}`;
+}
+
+// Store a snapshot and drop the oldest beyond maxSnapshots.
+// Returns the snapshot key, or null when nothing changed since the last snapshot.
+function saveRecoverySnapshot(session, maxSnapshots) {
+    return updateSnapshots(async (snapshots, offer) => {
+        const print = fingerprint(session);
+        if (snapshots.length > 0 && snapshots[snapshots.length - 1].fingerprint === print) {
+            return { snapshots, value: null };
+        }
+
+        const key = `${SNAPSHOT_PREFIX}${session.timestamp}`;
+        await storageSet(key, session, true);
+        const updated = [...snapshots, {
+            key,
+            timestamp: session.timestamp,
+            windowCount: session.windows.length,
+            tabCount: session.windows.reduce((sum, win) => sum + win.tabs.length, 0),
+            fingerprint: print
+        }];
+
+        // Never expire the snapshot currently offered for restore
+        const expired = updated
+            .slice(0, Math.max(0, updated.length - maxSnapshots))
+            .filter(snapshot => snapshot.key !== offer?.key);
+        for (const snapshot of expired) {
+            await storageRemove(snapshot.key, true);
+        }
+        return {
+            snapshots: updated.filter(snapshot => !expired.includes(snapshot)),
+            value: key
+        };
+    });
+}
+
+// Snapshot summaries, newest first
+async function listRecoverySnapshots() {
+    const data = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+    return (data[SNAPSHOT_INDEX_KEY] || []).slice().reverse();
+}
+
+async function getRecoverySnapshot(key) {
+    return storageGet(key, true);
+}
+
+// Offer the most recent snapshot for restore; returns its summary, or null if there is none
+async function createRecoveryOffer() {
+    const [latest] = await listRecoverySnapshots();
+    if (!latest) return null;
+    await chrome.storage.local.set({ [RECOVERY_OFFER_KEY]: latest });
+    return latest;
+}
+
+async function getRecoveryOffer() {
+    const data = await chrome.storage.local.get(RECOVERY_OFFER_KEY);
+    return data[RECOVERY_OFFER_KEY] || null;
+}
+
+async function clearRecoveryOffer() {
+    await chrome.storage.local.remove(RECOVERY_OFFER_KEY);
+}
+
+export {
+    saveRecoverySnapshot,
+    listRecoverySnapshots,
+    getRecoverySnapshot,
+    createRecoveryOffer,
+    getRecoveryOffer,
+    clearRecoveryOffer
+};
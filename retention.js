@@ -0,0 +1,113 @@
+// Retention rules decide which saved sessions and profiles are purged automatically.
+// Rules are evaluated in order against items of the form
+//   { key, kind: 'session' | 'profile', name, time, bytes, pinned, tags }
+// where time is when the item was last saved or used. Each rule is one of
+//   { type: 'maxCount', target, count }   keep only the newest count items
+//   { type: 'maxAge', target, days }       purge items unused for longer than days
+//   { type: 'maxBytes', target, bytes }    purge the oldest items until the rest fit in bytes
+//   { type: 'keepPerTag', count }          never purge the newest count sessions of each tag
+//   { type: 'neverDeletePinned' }          never purge pinned sessions or sessions tagged "keep"
+// target is 'sessions' or 'profiles'. Protected items still count towards maxCount and maxBytes.
+const RULE_TYPES = ['maxCount', 'maxAge', 'maxBytes', 'keepPerTag', 'neverDeletePinned'];
+const RULE_TARGETS = ['sessions', 'profiles'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const TARGET_KINDS = { sessions: 'session', profiles: 'profile' };
+
+// Throw on rules that can't be evaluated, so a bad policy is caught when it is saved
+function validateRetentionRules(rules) {
+    if (!Array.isArray(rules)) throw new Error('Retention rules must be a list');
+    rules.forEach((rule, index) => {
+        const label = `Rule ${index + 1}`;
+        if (!RULE_TYPES.includes(rule?.type)) throw new Error(`${label}: unknown rule type ${rule?.type}`);
+        if (['maxCount', 'maxAge', 'maxBytes'].includes(rule.type) && !RULE_TARGETS.includes(rule.target)) {
+            throw new Error(`${label}: target must be sessions or profiles`);
+        }
+        const limit = { maxCount: 'count', keepPerTag: 'count', maxAge: 'days', maxBytes: 'bytes' }[rule.type];
+        if (limit && !(Number.isFinite(rule[limit]) && rule[limit] >= 0)) {
+            throw new Error(`${label}: ${limit} must be a number of 0 or more`);
+        }
+    });
+}
+
+// Items the policy never purges, with the reason
+function findProtected(items, rules) {
+    const reasons = new Map();
+    const sessions = items
+        .filter(item => item.kind === 'session')
+        .sort((a, b) => b.time - a.time);
+
+    for (const rule of rules) {
+        if (rule.type === 'neverDeletePinned') {
+            sessions.forEach(item => {
+                if (item.pinned) reasons.set(item.key, 'pinned');
+                else if (item.tags.includes('keep')) reasons.set(item.key, 'tagged "keep"');
+            });
+        } else if (rule.type === 'keepPerTag') {
+            const seen = new Map();
+            sessions.forEach(item => {
+                item.tags.forEach(tag => {
+                    seen.set(tag, (seen.get(tag) || 0) + 1);
+                    if (seen.get(tag) <= rule.count && !reasons.has(item.key)) {
+                        reasons.set(item.key, `among the newest ${rule.count} tagged "${tag}"`);
+                    }
+                });
+            });
+        }
+    }
+    return reasons;
+}
+
+// Dry run of the rules: what would be purged and why, and what is protected.
+// Nothing is changed; the caller purges the returned items.
+function evaluateRetention(items, rules, now = Date.now()) {
+    const protectedReasons = findProtected(items, rules);
+    const purgeReasons = new Map();
+    const purge = (item, reason) => {
+        if (protectedReasons.has(item.key)) return;
+        if (!purgeReasons.has(item.key)) purgeReasons.set(item.key, []);
+        purgeReasons.get(item.key).push(reason);
+    };
+
+    for (const rule of rules) {
+        // Newest first; items already purged by an earlier rule no longer count
+        const candidates = items
+            .filter(item => item.kind === TARGET_KINDS[rule.target] && !purgeReasons.has(item.key))
+            .sort((a, b) => b.time - a.time);
+
+        if (rule.type === 'maxCount') {
+            candidates.slice(rule.count).forEach(item => purge(item, `beyond the newest ${rule.count}`));
+        } else if (rule.type === 'maxAge') {
+            candidates
+                .filter(item => now - item.time > rule.days * DAY)
+                .forEach(item => purge(item, `unused for more than ${rule.days} days`));
+        } else if (rule.type === 'maxBytes') {
+            let total = candidates.reduce((sum, item) => sum + item.bytes, 0);
+            for (const item of candidates.slice().reverse()) {
+                if (total <= rule.bytes) break;
+                if (protectedReasons.has(item.key)) continue;
+                purge(item, `over ${rule.bytes} bytes in total`);
+                total -= item.bytes;
+            }
+        }
+    }
+
+    const describe = item => ({ key: item.key, kind: item.kind, name: item.name, time: item.time, bytes: item.bytes });
+    const purged = items.filter(item => purgeReasons.has(item.key));
+    return {
+        evaluatedAt: now,
+        purge: purged.map(item => ({ ...describe(item), reasons: purgeReasons.get(item.key) })),
+        protected: items
+            .filter(item => protectedReasons.has(item.key))
+            .map(item => ({ ...describe(item), reason: protectedReasons.get(item.key) })),
+        keptCount: items.length - purged.length,
+        freedBytes: purged.reduce((sum, item) => sum + item.bytes, 0)
+    };
+}
+
+export {
+    RULE_TYPES,
+    RULE_TARGETS,
+    validateRetentionRules,
+    evaluateRetention
+};
@@ -0,0 +1,125 @@
+// Colors accepted by chrome.tabGroups
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+const RULES_KEY = 'grouping_rules';
+const RULES_EXPORT_VERSION = '1.0';
+
+// Convert a URL pattern such as "*.atlassian.net/*" into a regular expression.
+// Patterns match against host + path + query; a leading "*." also matches the bare domain
+// and a pattern without a path matches every page on that host.
+function patternToRegExp(pattern) {
+    let normalized = pattern.trim().replace(/^[a-z]+:\/\//i, '');
+    if (!normalized.includes('/')) {
+        normalized += '/*';
+    }
+
+    let hostWildcard = '';
+    if (normalized.startsWith('*.')) {
+        hostWildcard = '(?:[^/]*\\.)?';
+        normalized = normalized.slice(2);
+    }
+
+    const body = normalized
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${hostWildcard}${body}$`, 'i');
+}
+
+// Check a single rule and return a cleaned copy, throwing on invalid input
+function validateRule(rule, index = 0) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Rule ${index + 1} is not an object`);
+    }
+    const pattern = String(rule.pattern || '').trim();
+    const title = String(rule.title || '').trim();
+    if (!pattern) {
+        throw new Error(`Rule ${index + 1} is missing a URL pattern`);
+    }
+    if (!title) {
+        throw new Error(`Rule ${index + 1} is missing a group title`);
+    }
+    const color = rule.color || 'grey';
+    if (!GROUP_COLORS.includes(color)) {
+        throw new Error(`Rule ${index + 1} has an unknown color "${color}"`);
+    }
+    const priority = Number(rule.priority ?? 0);
+    if (!Number.isFinite(priority)) {
+        throw new Error(`Rule ${index + 1} has an invalid priority`);
+    }
+
+    return {
+        id: rule.id || `rule_${Date.now()}_${index}`,
+        pattern,
+        title,
+        color,
+        priority,
+        enabled: rule.enabled !== false
+    };
+}
+
+// Find the highest-priority enabled rule matching a URL
+function findMatchingRule(url, rules) {
+    let target;
+    try {
+        const parsed = new URL(url);
+        target = `${parsed.host}${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+        return null;
+    }
+
+    return [...rules]
+        .filter(rule => rule.enabled)
+        .sort((a, b) => b.priority - a.priority)
+        .find(rule => {
+            try {
+                return patternToRegExp(rule.pattern).test(target);
+            } catch (error) {
+                console.warn(`Invalid rule pattern "${rule.pattern}":`, error);
+                return false;
+            }
+        }) || null;
+}
+
+// Load saved grouping rules
+async function loadRules() {
+    const data = await chrome.storage.sync.get(RULES_KEY);
+    return data[RULES_KEY] || [];
+}
+
+// Validate and persist grouping rules
+async function saveRules(rules) {
+    const validated = rules.map(validateRule);
+    await chrome.storage.sync.set({ [RULES_KEY]: validated });
+    return validated;
+}
+
+// Serialize rules into a shareable JSON document
+function exportRules(rules) {
+    return JSON.stringify({
+        version: RULES_EXPORT_VERSION,
+        timestamp: Date.now(),
+        rules
+    }, null, 2);
+}
+
+// Parse rules from an exported JSON document or a plain array of rules
+function importRules(json) {
+    const data = JSON.parse(json);
+    const rules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error('No rules found in file');
+    }
+    return rules.map(validateRule);
+}
+
+export {
+    GROUP_COLORS,
+    patternToRegExp,
+    validateRule,
+    findMatchingRule,
+    loadRules,
+    saveRules,
+    exportRules,
+    importRules
+};
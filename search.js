@@ -0,0 +1,112 @@
+import { storageSet, storageGet } from './utils.js';
+
+// Search documents for saved sessions, kept in memory and mirrored compressed to local storage,
+// so a query never has to decompress the sessions themselves
+const SEARCH_INDEX_KEY = 'searchIndex';
+const MAX_RESULTS = 200;
+
+let searchIndex = null;
+
+async function loadSearchIndex() {
+    if (!searchIndex) {
+        const stored = await storageGet(SEARCH_INDEX_KEY, true).catch(() => null);
+        searchIndex = new Map(Object.entries(stored || {}));
+    }
+    return searchIndex;
+}
+
+// Serialize writes so the stored index always reflects the latest in-memory state
+let searchIndexWrites = Promise.resolve();
+
+function persistSearchIndex() {
+    const result = searchIndexWrites.then(() => storageSet(SEARCH_INDEX_KEY, Object.fromEntries(searchIndex), true));
+    searchIndexWrites = result.catch(error => {
+        console.error('Error saving search index:', error);
+    });
+    return result;
+}
+
+// Searchable text of a session: its name, profile, folder and tags, and each tab's title, URL and group title
+function createDocument(session) {
+    return {
+        name: session.name || '',
+        profile: session.profile || '',
+        tags: session.tags || [],
+        folder: session.folder || '',
+        updatedAt: session.updatedAt || session.timestamp,
+        tabs: session.windows.flatMap((win, windowIndex) => win.tabs.map((tab, index) => ({
+            title: tab.title || '',
+            url: tab.url,
+            group: win.groups.find(group => group.id === tab.group)?.title || '',
+            window: windowIndex,
+            index
+        })))
+    };
+}
+
+// Add or refresh a session; expects sessions in the current (local group id) format
+async function indexSession(key, session) {
+    const index = await loadSearchIndex();
+    index.set(key, createDocument(session));
+    await persistSearchIndex();
+}
+
+async function removeFromSearchIndex(key) {
+    const index = await loadSearchIndex();
+    if (index.delete(key)) {
+        await persistSearchIndex();
+    }
+}
+
+// Keys of indexed sessions with the session timestamp they were indexed at
+async function getIndexedSessions() {
+    const index = await loadSearchIndex();
+    return new Map(Array.from(index, ([key, document]) => [key, document.updatedAt]));
+}
+
+function matchesAll(text, terms) {
+    const lower = text.toLowerCase();
+    return terms.every(term => lower.includes(term));
+}
+
+// Sessions matching every word of the query, each with its matching tabs.
+// A session whose name, profile, folder or tags match is returned even when none of its tabs do.
+async function searchSessions(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const index = await loadSearchIndex();
+    const results = [];
+    let tabCount = 0;
+    for (const [key, document] of index) {
+        const sessionText = [document.name, document.profile, document.folder || '', ...(document.tags || [])].join(' ');
+        const tabs = document.tabs.filter(tab =>
+            matchesAll(`${sessionText} ${tab.title} ${tab.url} ${tab.group}`, terms) &&
+            // Tabs only show up when they match something themselves
+            terms.some(term => `${tab.title} ${tab.url} ${tab.group}`.toLowerCase().includes(term)));
+        const sessionMatch = matchesAll(sessionText, terms);
+        if (tabs.length === 0 && !sessionMatch) continue;
+
+        const shown = tabs.slice(0, Math.max(0, MAX_RESULTS - tabCount));
+        tabCount += shown.length;
+        results.push({
+            key,
+            name: document.name,
+            profile: document.profile,
+            tags: document.tags || [],
+            folder: document.folder || null,
+            updatedAt: document.updatedAt,
+            sessionMatch,
+            matchCount: tabs.length,
+            tabs: shown
+        });
+    }
+    return results.sort((a, b) => b.matchCount - a.matchCount || b.updatedAt - a.updatedAt);
+}
+
+export {
+    indexSession,
+    removeFromSearchIndex,
+    getIndexedSessions,
+    searchSessions
+};
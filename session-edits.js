@@ -0,0 +1,220 @@
+import { GROUP_COLORS } from './rules.js';
+
+// Edits to a saved session (in the local group id format). Tabs are referenced as
+// "<windowIndex>:<tabIndex>" and groups as "<windowIndex>:<groupId>", both as they were before
+// any edit in the batch, so a batch can be applied in one go without indexes shifting under it.
+//   { type: 'rename', name }
+//   { type: 'removeTab', tab }
+//   { type: 'moveTab', tab, window, group } moves to the end of window (an index, or 'new' for a
+//     new window that every such move in the batch shares), or into group, right after its last tab
+//   { type: 'updateGroup', group, title, color }
+//   { type: 'setTags', tags }, { type: 'setFolder', folder } and { type: 'setPinned', pinned }
+//     organize the session in the popup; the "keep" tag and pinning exempt it from cleanup
+
+function tabRef(windowIndex, tabIndex) {
+    return `${windowIndex}:${tabIndex}`;
+}
+
+function groupRef(windowIndex, groupId) {
+    return `${windowIndex}:${groupId}`;
+}
+
+// Working copy where every tab and group carries its original reference
+function toWorkingCopy(session) {
+    return session.windows.map((win, windowIndex) => ({
+        ...win,
+        tabs: win.tabs.map((tab, tabIndex) => ({
+            ...tab,
+            ref: tabRef(windowIndex, tabIndex),
+            groupRef: tab.group === null ? null : groupRef(windowIndex, tab.group)
+        })),
+        groups: win.groups.map(group => ({ ...group, ref: groupRef(windowIndex, group.id) }))
+    }));
+}
+
+// Back to the session format: empty windows and groups are dropped and group ids renumbered
+function fromWorkingCopy(windows) {
+    return windows
+        .filter(win => win.tabs.length > 0)
+        .map(({ groups, tabs, ...win }) => {
+            const used = new Set(tabs.map(tab => tab.groupRef));
+            const localIds = new Map();
+            const keptGroups = groups
+                .filter(group => used.has(group.ref))
+                .map(({ ref, ...group }) => {
+                    localIds.set(ref, localIds.size);
+                    return { ...group, id: localIds.get(ref) };
+                });
+            return {
+                ...win,
+                groups: keptGroups,
+                tabs: tabs.map(({ ref, groupRef: tabGroupRef, ...tab }) => ({
+                    ...tab,
+                    group: tabGroupRef === null ? null : localIds.get(tabGroupRef)
+                }))
+            };
+        });
+}
+
+function findTab(windows, ref) {
+    for (const win of windows) {
+        const index = win.tabs.findIndex(tab => tab.ref === ref);
+        if (index !== -1) return { win, index };
+    }
+    throw new Error(`Tab ${ref} not found`);
+}
+
+function findGroup(windows, ref) {
+    for (const win of windows) {
+        const group = win.groups.find(group => group.ref === ref);
+        if (group) return { win, group };
+    }
+    throw new Error(`Group ${ref} not found`);
+}
+
+// Insert a tab into a window, keeping pinned tabs first and each group's tabs together
+function insertTab(win, tab) {
+    if (tab.groupRef !== null) {
+        const last = win.tabs.map(other => other.groupRef).lastIndexOf(tab.groupRef);
+        if (last !== -1) {
+            win.tabs.splice(last + 1, 0, tab);
+            return;
+        }
+    }
+    if (tab.pinned) {
+        const firstUnpinned = win.tabs.findIndex(other => !other.pinned);
+        win.tabs.splice(firstUnpinned === -1 ? win.tabs.length : firstUnpinned, 0, tab);
+        return;
+    }
+    win.tabs.push(tab);
+}
+
+// Trimmed, lowercase, unique tags
+function normalizeTags(tags = []) {
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function applyEdit(session, windows, edit, newWindow) {
+    switch (edit.type) {
+        case 'rename': {
+            const name = (edit.name || '').trim();
+            if (!name) throw new Error('Session name cannot be empty');
+            session.name = name;
+            break;
+        }
+        case 'removeTab': {
+            const { win, index } = findTab(windows, edit.tab);
+            win.tabs.splice(index, 1);
+            break;
+        }
+        case 'moveTab': {
+            const { win, index } = findTab(windows, edit.tab);
+            const [tab] = win.tabs.splice(index, 1);
+            // The tab keeps its place in the session but no longer has focus in its new window
+            tab.active = false;
+
+            let target;
+            if (edit.group) {
+                const found = findGroup(windows, edit.group);
+                target = found.win;
+                tab.groupRef = found.group.ref;
+                tab.pinned = false; // Pinned tabs can't be grouped
+            } else if (edit.window === 'new') {
+                target = newWindow();
+                tab.groupRef = null;
+            } else {
+                target = windows[edit.window];
+                if (!target) throw new Error(`Window ${edit.window} not found`);
+                tab.groupRef = null;
+            }
+            insertTab(target, tab);
+            break;
+        }
+        case 'updateGroup': {
+            const { group } = findGroup(windows, edit.group);
+            if (edit.title !== undefined) group.title = edit.title;
+            if (edit.color !== undefined) {
+                if (!GROUP_COLORS.includes(edit.color)) throw new Error(`Invalid group color: ${edit.color}`);
+                group.color = edit.color;
+            }
+            break;
+        }
+        case 'setTags':
+            session.tags = normalizeTags(edit.tags);
+            break;
+        case 'setFolder':
+            session.folder = (edit.folder || '').trim() || null;
+            break;
+        case 'setPinned':
+            session.pinned = !!edit.pinned;
+            break;
+        default:
+            throw new Error(`Unknown session edit: ${edit.type}`);
+    }
+}
+
+// Apply a batch of edits and return the edited session; the input is left untouched
+function applySessionEdits(session, edits) {
+    const edited = { ...session };
+    const windows = toWorkingCopy(session);
+    let created = null;
+    const newWindow = () => {
+        if (!created) {
+            created = { tabs: [], groups: [] };
+            windows.push(created);
+        }
+        return created;
+    };
+    edits.forEach(edit => applyEdit(edited, windows, edit, newWindow));
+    edited.windows = fromWorkingCopy(windows);
+    return edited;
+}
+
+// Copies of the referenced tabs, in session order, along with the groups they belong to
+function extractTabs(session, refs) {
+    const wanted = new Set(refs);
+    return session.windows.flatMap((win, windowIndex) => win.tabs
+        .filter((_, tabIndex) => wanted.has(tabRef(windowIndex, tabIndex)))
+        .map(tab => ({
+            ...tab,
+            active: false,
+            groupInfo: tab.group === null ? null : {
+                ref: groupRef(windowIndex, tab.group),
+                ...win.groups.find(group => group.id === tab.group)
+            }
+        })));
+}
+
+// Append extracted tabs to the last window of a session, recreating their groups there
+function appendTabs(session, tabs) {
+    const windows = session.windows.length > 0
+        ? session.windows.map(win => ({ ...win, tabs: [...win.tabs], groups: [...win.groups] }))
+        : [{ tabs: [], groups: [] }];
+    const target = windows[windows.length - 1];
+
+    const groupIds = new Map();
+    let nextId = Math.max(-1, ...target.groups.map(group => group.id)) + 1;
+    for (const { groupInfo, ...tab } of tabs) {
+        let group = null;
+        if (groupInfo) {
+            if (!groupIds.has(groupInfo.ref)) {
+                groupIds.set(groupInfo.ref, nextId);
+                target.groups.push({
+                    id: nextId++,
+                    title: groupInfo.title,
+                    color: groupInfo.color,
+                    collapsed: !!groupInfo.collapsed
+                });
+            }
+            group = groupIds.get(groupInfo.ref);
+        }
+        target.tabs.push({ ...tab, group, pinned: group === null && !!tab.pinned });
+    }
+    return { ...session, windows };
+}
+
+export {
+    applySessionEdits,
+    extractTabs,
+    appendTabs
+};
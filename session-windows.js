@@ -0,0 +1,212 @@
+import { deferTabLoad } from './lazy-restore.js';
+
+// Saving windows into sessions and recreating them. Saved windows hold their layout, their tabs
+// and their tab groups; see captureWindow for the format.
+
+// Snapshot a window's layout, tabs and groups.
+// Groups get local ids in tab strip order (0, 1, ...) and each tab refers to its group by that id,
+// or null when ungrouped, since browser group ids don't survive a restart.
+async function captureWindow(win, tabs) {
+    const browserGroups = new Map(
+        (await chrome.tabGroups.query({ windowId: win.id })).map(group => [group.id, group])
+    );
+    const localIds = new Map();
+    const groups = [];
+
+    const capturedTabs = tabs.map(tab => {
+        let group = null;
+        const browserGroup = browserGroups.get(tab.groupId);
+        if (browserGroup) {
+            if (!localIds.has(browserGroup.id)) {
+                localIds.set(browserGroup.id, groups.length);
+                groups.push({
+                    id: groups.length,
+                    title: browserGroup.title,
+                    color: browserGroup.color,
+                    collapsed: browserGroup.collapsed
+                });
+            }
+            group = localIds.get(browserGroup.id);
+        }
+        return {
+            url: tab.url,
+            title: tab.title,
+            group,
+            domain: new URL(tab.url).hostname,
+            pinned: tab.pinned,
+            active: tab.active,
+            muted: !!tab.mutedInfo?.muted
+        };
+    });
+
+    return {
+        // Window layout, reapplied on restore
+        left: win.left,
+        top: win.top,
+        width: win.width,
+        height: win.height,
+        state: win.state,
+        focused: win.focused,
+        tabs: capturedTabs,
+        groups
+    };
+}
+
+// Convert a window saved before local group ids (tabs carrying browser groupIds) to the current format
+function upgradeWindowGroups(windowData) {
+    if (windowData.tabs.every(tab => 'group' in tab)) return windowData;
+
+    const savedGroups = new Map((windowData.groups || []).map(group => [group.id, group]));
+    const localIds = new Map();
+    const groups = [];
+    const tabs = windowData.tabs.map(({ groupId, ...tab }) => {
+        const savedGroup = savedGroups.get(groupId);
+        if (!savedGroup) return { ...tab, group: null };
+        if (!localIds.has(groupId)) {
+            localIds.set(groupId, groups.length);
+            groups.push({
+                id: groups.length,
+                title: savedGroup.title,
+                color: savedGroup.color,
+                collapsed: !!savedGroup.collapsed
+            });
+        }
+        return { ...tab, group: localIds.get(groupId) };
+    });
+    return { ...windowData, tabs, groups };
+}
+
+// Tabs and windows created by the restores in progress. Automatic grouping and duplicate closing
+// leave them alone, so restored windows come back exactly as saved.
+const restoringTabs = new Set();
+const restoringWindows = new Set();
+let activeRestores = 0;
+
+function isRestoring(tab) {
+    return restoringTabs.has(tab.id) || restoringWindows.has(tab.windowId);
+}
+
+// Run restore, keeping the tabs and windows it creates marked as restoring until it and any
+// overlapping restores are done, plus settleTime for the pages they opened to load
+async function whileRestoring(restore, settleTime = 0) {
+    activeRestores++;
+    try {
+        return await restore();
+    } finally {
+        setTimeout(() => {
+            if (--activeRestores > 0) return;
+            restoringTabs.clear();
+            restoringWindows.clear();
+        }, settleTime);
+    }
+}
+
+function markRestoring(ids, windowId = null) {
+    if (activeRestores === 0) return;
+    ids.forEach(id => restoringTabs.add(id));
+    if (windowId !== null) restoringWindows.add(windowId);
+}
+
+// Window bounds as saved; sessions saved before bounds were recorded restore with default bounds
+function getWindowBounds(windowData) {
+    const bounds = {};
+    for (const key of ['left', 'top', 'width', 'height']) {
+        if (Number.isInteger(windowData[key])) bounds[key] = windowData[key];
+    }
+    return bounds;
+}
+
+// Recreate one saved window with its tabs in their original order.
+// With lazy set, only the active tab loads; returns the window and the ids of the unloaded tabs.
+async function restoreWindow(windowData, { lazy = false } = {}) {
+    // Bounds only apply to normal windows, so the state is set once the window exists
+    const window = await chrome.windows.create({
+        url: windowData.tabs[0].url,
+        focused: false,
+        ...getWindowBounds(windowData)
+    });
+    markRestoring([window.tabs[0].id], window.id);
+
+    const deferred = await restoreTabs(window.id, windowData, { lazy, firstTabId: window.tabs[0].id });
+
+    if (windowData.state && windowData.state !== 'normal') {
+        await chrome.windows.update(window.id, { state: windowData.state });
+    }
+    return { window, deferred };
+}
+
+// Add a saved window's tabs to the end of a window in their original order, then restore their
+// state and groups. firstTabId is a tab already created for the first saved tab. Unless activate is
+// set, the window's active tab is left alone. Returns the ids of tabs left unloaded in lazy mode.
+async function restoreTabs(windowId, windowData, { lazy = false, firstTabId = null, activate = true } = {}) {
+    const activeIndex = activate ? Math.max(0, windowData.tabs.findIndex(tab => tab.active)) : -1;
+
+    // Create tabs one at a time so they keep their saved order.
+    // Lazy tabs are unloaded as soon as they have their URL, before the page gets far.
+    const tabIds = firstTabId === null ? [] : [firstTabId];
+    const deferrals = new Map();
+    for (const tab of windowData.tabs.slice(tabIds.length)) {
+        const created = await chrome.tabs.create({
+            windowId,
+            url: tab.url,
+            pinned: !!tab.pinned,
+            active: false
+        });
+        markRestoring([created.id]);
+        if (lazy && tabIds.length !== activeIndex) {
+            deferrals.set(tabIds.length, deferTabLoad(created.id));
+        }
+        tabIds.push(created.id);
+    }
+
+    if (firstTabId !== null && windowData.tabs[0].pinned) {
+        await chrome.tabs.update(firstTabId, { pinned: true });
+    }
+    for (let i = 0; i < windowData.tabs.length; i++) {
+        if (windowData.tabs[i].muted) {
+            await chrome.tabs.update(tabIds[i], { muted: true });
+        }
+    }
+
+    // Activate before collapsing groups, since activating a tab expands its group
+    if (activeIndex !== -1) {
+        await chrome.tabs.update(tabIds[activeIndex], { active: true });
+    }
+    if (lazy && firstTabId !== null && activeIndex !== 0) {
+        deferrals.set(0, deferTabLoad(firstTabId));
+    }
+
+    // Discarding may replace a tab's id
+    for (const [i, deferral] of deferrals) {
+        tabIds[i] = await deferral;
+    }
+    markRestoring(tabIds);
+
+    // Recreate groups; their tabs are contiguous, so grouping in order keeps each group's position
+    for (const group of windowData.groups) {
+        const groupTabIds = tabIds.filter((_, i) => windowData.tabs[i].group === group.id);
+
+        if (groupTabIds.length > 0) {
+            const newGroupId = await chrome.tabs.group({
+                tabIds: groupTabIds,
+                createProperties: { windowId }
+            });
+            await chrome.tabGroups.update(newGroupId, {
+                color: group.color,
+                title: group.title,
+                collapsed: !!group.collapsed
+            });
+        }
+    }
+
+    return Array.from(deferrals.keys(), i => tabIds[i]);
+}
+
+export {
+    captureWindow,
+    upgradeWindowGroups,
+    restoreWindow,
+    restoreTabs,
+    isRestoring,
+    whileRestoring
+};
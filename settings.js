@@ -0,0 +1,73 @@
+// Default values for user-configurable settings, keyed by section
+const DEFAULT_SETTINGS = {
+    grouping: {
+        strategy: 'heuristic',
+        thresholds: {}, // Per-strategy overrides of the built-in thresholds
+        stopwordLanguages: ['en'],
+        customStopwords: []
+    },
+    exclusions: {
+        blockedDomains: [],
+        skipPinned: true,
+        respectManualUngroup: true
+    },
+    journal: {
+        undoCount: 1 // Operations reverted by the keyboard shortcut
+    },
+    duplicates: {
+        action: 'badge', // 'close', 'focus' or 'badge'
+        ignoreFragment: true,
+        stripTrackingParams: true,
+        ignoreTrailingSlash: true
+    },
+    suspender: {
+        enabled: false,
+        idleMinutes: 60,
+        skipAudible: true,
+        skipPinned: true,
+        skipUnsavedForms: true
+    },
+    restore: {
+        lazy: false, // Only load each window's active tab; the rest load when activated
+        backgroundLoad: false, // Load deferred tabs in the background a few at a time
+        concurrency: 3
+    },
+    autosave: {
+        enabled: true,
+        intervalMinutes: 5,
+        maxSnapshots: 5, // Recovery snapshots kept in local storage
+        offerOnStartup: true
+    },
+    retention: {
+        // Evaluated in order after each save and once a day; see retention.js for the rule types
+        rules: [
+            { type: 'neverDeletePinned' },
+            { type: 'maxCount', target: 'sessions', count: 50 },
+            { type: 'maxAge', target: 'profiles', days: 30 }
+        ],
+        trashDays: 7 // Purged items can be restored from the trash for this long
+    }
+};
+
+const SETTINGS_PREFIX = 'settings_';
+
+// Load a settings section merged over its defaults
+async function getSettings(section) {
+    const key = `${SETTINGS_PREFIX}${section}`;
+    const stored = await chrome.storage.sync.get(key);
+    return { ...DEFAULT_SETTINGS[section], ...(stored[key] || {}) };
+}
+
+// Merge changes into a settings section and persist it
+async function updateSettings(section, changes) {
+    const current = await getSettings(section);
+    const updated = { ...current, ...changes };
+    await chrome.storage.sync.set({ [`${SETTINGS_PREFIX}${section}`]: updated });
+    return updated;
+}
+
+export {
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings
+};
@@ -0,0 +1,149 @@
+const TAB_ACTIVITY_KEY = 'tabActivity';
+const KEEP_AWAKE_KEY = 'keepAwakeGroups';
+
+// Last activation time per tab id, mirrored to local storage so it survives service worker restarts
+let tabActivity = null;
+
+async function loadTabActivity() {
+    if (!tabActivity) {
+        const data = await chrome.storage.local.get(TAB_ACTIVITY_KEY);
+        tabActivity = new Map(Object.entries(data[TAB_ACTIVITY_KEY] || {}).map(([id, time]) => [Number(id), time]));
+    }
+    return tabActivity;
+}
+
+async function saveTabActivity() {
+    await chrome.storage.local.set({ [TAB_ACTIVITY_KEY]: Object.fromEntries(tabActivity) });
+}
+
+// Note that a tab was just activated
+async function recordTabActivity(tabId) {
+    const activity = await loadTabActivity();
+    activity.set(tabId, Date.now());
+    await saveTabActivity();
+}
+
+async function forgetTabActivity(tabId) {
+    const activity = await loadTabActivity();
+    if (activity.delete(tabId)) {
+        await saveTabActivity();
+    }
+}
+
+// Tab and group ids are not stable across browser restarts
+async function resetSuspenderState() {
+    tabActivity = new Map();
+    await chrome.storage.local.remove([TAB_ACTIVITY_KEY, KEEP_AWAKE_KEY]);
+}
+
+async function getKeepAwakeGroups() {
+    const data = await chrome.storage.local.get(KEEP_AWAKE_KEY);
+    return new Set(data[KEEP_AWAKE_KEY] || []);
+}
+
+// Exempt a group from suspension, or make it eligible again
+async function setGroupKeepAwake(groupId, keepAwake) {
+    const groups = await getKeepAwakeGroups();
+    if (keepAwake) {
+        groups.add(groupId);
+    } else {
+        groups.delete(groupId);
+    }
+    await chrome.storage.local.set({ [KEEP_AWAKE_KEY]: Array.from(groups) });
+}
+
+async function isGroupKeptAwake(groupId) {
+    return (await getKeepAwakeGroups()).has(groupId);
+}
+
+// Ask the page whether any form field holds text that hasn't been submitted
+async function hasUnsavedInput(tabId) {
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId },
+            function: () => {
+                const fields = document.querySelectorAll('input, textarea, select');
+                for (const field of fields) {
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        if (field.checked !== field.defaultChecked) return true;
+                    } else if (field.tagName === 'SELECT') {
+                        if (Array.from(field.options).some(option => option.selected !== option.defaultSelected)) return true;
+                    } else if (field.type !== 'hidden' && field.type !== 'password' && field.value !== field.defaultValue) {
+                        return true;
+                    }
+                }
+                const editable = document.activeElement;
+                return !!(editable && editable.isContentEditable && editable.textContent.trim());
+            }
+        });
+        return !!result?.result;
+    } catch (error) {
+        // Pages we can't inspect are kept loaded rather than risk losing input
+        return true;
+    }
+}
+
+// Whether a tab may be discarded under the suspender settings
+async function canDiscardTab(tab, settings) {
+    if (tab.active || tab.discarded) return false;
+    if (settings.skipAudible && tab.audible) return false;
+    if (settings.skipPinned && tab.pinned) return false;
+    if (settings.skipUnsavedForms && await hasUnsavedInput(tab.id)) return false;
+    return true;
+}
+
+// Collapse groups whose tabs have all been idle for settings.idleMinutes and discard their tabs
+async function suspendIdleGroups(settings) {
+    const activity = await loadTabActivity();
+    const keepAwake = await getKeepAwakeGroups();
+    const cutoff = Date.now() - settings.idleMinutes * 60 * 1000;
+    const groups = await chrome.tabGroups.query({});
+    const summary = { suspendedGroups: 0, discardedTabs: 0 };
+
+    for (const group of groups) {
+        if (keepAwake.has(group.id)) continue;
+
+        const tabs = await chrome.tabs.query({ groupId: group.id });
+        // Tabs seen for the first time start their idle clock now
+        let firstSeen = false;
+        for (const tab of tabs) {
+            if (!activity.has(tab.id)) {
+                activity.set(tab.id, Date.now());
+                firstSeen = true;
+            }
+        }
+        if (firstSeen) await saveTabActivity();
+
+        const idle = tabs.every(tab => !tab.active && activity.get(tab.id) < cutoff);
+        if (!idle) continue;
+
+        let discarded = 0;
+        for (const tab of tabs) {
+            if (!await canDiscardTab(tab, settings)) continue;
+            try {
+                await chrome.tabs.discard(tab.id);
+                discarded++;
+            } catch (error) {
+                console.warn(`Could not discard tab ${tab.id}:`, error);
+            }
+        }
+
+        if (!group.collapsed) {
+            await chrome.tabGroups.update(group.id, { collapsed: true });
+        }
+        if (discarded > 0 || !group.collapsed) {
+            summary.suspendedGroups++;
+            summary.discardedTabs += discarded;
+        }
+    }
+    return summary;
+}
+
+export {
+    recordTabActivity,
+    forgetTabActivity,
+    resetSuspenderState,
+    setGroupKeepAwake,
+    isGroupKeptAwake,
+    suspendIdleGroups
+};
@@ -0,0 +1,131 @@
+import { getCandidateKeys } from './grouping.js';
+
+// In-memory index of open tabs, keyed by tab id
+const indexedTabs = new Map();
+
+// Posting lists: "<windowId>|<key>" -> Set of tab ids
+const postings = new Map();
+
+// Number of indexed tabs per window
+const windowSizes = new Map();
+
+function postingKey(windowId, key) {
+    return `${windowId}|${key}`;
+}
+
+// Add or refresh a tab in the index and return its entry
+function indexTab(tab) {
+    const previous = indexedTabs.get(tab.id);
+    removeTab(tab.id);
+
+    const opener = indexedTabs.get(tab.openerTabId);
+    const entry = {
+        id: tab.id,
+        windowId: tab.windowId,
+        groupId: tab.groupId ?? -1,
+        index: tab.index,
+        url: tab.url || tab.pendingUrl || '',
+        title: tab.title || '',
+        pinned: !!tab.pinned,
+        openerTabId: tab.openerTabId,
+        lineageRoot: opener ? (opener.lineageRoot ?? opener.id) : (previous?.lineageRoot ?? tab.id)
+    };
+    entry.keys = getCandidateKeys(entry);
+
+    indexedTabs.set(entry.id, entry);
+    windowSizes.set(entry.windowId, (windowSizes.get(entry.windowId) || 0) + 1);
+    for (const key of entry.keys) {
+        const id = postingKey(entry.windowId, key);
+        if (!postings.has(id)) postings.set(id, new Set());
+        postings.get(id).add(entry.id);
+    }
+    return entry;
+}
+
+// Drop a tab from the index
+function removeTab(tabId) {
+    const entry = indexedTabs.get(tabId);
+    if (!entry) return;
+
+    indexedTabs.delete(tabId);
+    windowSizes.set(entry.windowId, windowSizes.get(entry.windowId) - 1);
+    if (windowSizes.get(entry.windowId) <= 0) windowSizes.delete(entry.windowId);
+    for (const key of entry.keys) {
+        const id = postingKey(entry.windowId, key);
+        const tabIds = postings.get(id);
+        if (!tabIds) continue;
+        tabIds.delete(tabId);
+        if (tabIds.size === 0) postings.delete(id);
+    }
+}
+
+// Update fields that don't affect index keys, such as group membership
+function updateIndexedTab(tabId, changes) {
+    const entry = indexedTabs.get(tabId);
+    if (entry) Object.assign(entry, changes);
+}
+
+function getIndexedTab(tabId) {
+    return indexedTabs.get(tabId) || null;
+}
+
+// Indexed tabs of a window, or of every window when no id is given
+function getWindowTabs(windowId) {
+    const entries = Array.from(indexedTabs.values());
+    return windowId === undefined ? entries : entries.filter(entry => entry.windowId === windowId);
+}
+
+// Tabs in the same window sharing at least one of the given keys
+function findCandidates(entry, keys) {
+    const candidates = new Set();
+    for (const key of keys) {
+        for (const tabId of postings.get(postingKey(entry.windowId, key)) || []) {
+            if (tabId !== entry.id) candidates.add(tabId);
+        }
+    }
+    return Array.from(candidates, tabId => indexedTabs.get(tabId));
+}
+
+// Read-only view handed to grouping strategies
+const tabIndex = {
+    tabs: indexedTabs,
+    documentFrequency(windowId, key) {
+        return postings.get(postingKey(windowId, key))?.size || 0;
+    },
+    windowSize(windowId) {
+        return windowSizes.get(windowId) || 0;
+    }
+};
+
+// Rebuild the whole index, e.g. after the service worker restarts
+async function rebuildTabIndex() {
+    indexedTabs.clear();
+    postings.clear();
+    windowSizes.clear();
+
+    const tabs = await chrome.tabs.query({});
+    // Index openers before the tabs they opened so lineage roots resolve
+    const byId = new Map(tabs.map(tab => [tab.id, tab]));
+    const visit = (tab) => {
+        if (indexedTabs.has(tab.id)) return;
+        const opener = byId.get(tab.openerTabId);
+        if (opener && opener.id !== tab.id && !indexedTabs.has(opener.id)) {
+            byId.delete(tab.id); // Guard against opener cycles
+            visit(opener);
+        }
+        indexTab(tab);
+    };
+    tabs.forEach(visit);
+    console.log(`Tab index rebuilt with ${indexedTabs.size} tabs`);
+}
+
+export {
+    tabIndex,
+    indexTab,
+    removeTab,
+    updateIndexedTab,
+    getIndexedTab,
+    getWindowTabs,
+    findCandidates,
+    rebuildTabIndex
+};
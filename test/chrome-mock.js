@@ -0,0 +1,121 @@
+// In-memory stand-in for the parts of the chrome.* API the tests exercise.
+// installChromeMock() sets globalThis.chrome and returns the mock so tests can inspect its state.
+
+function createEvent() {
+    const listeners = new Set();
+    return {
+        addListener: listener => listeners.add(listener),
+        removeListener: listener => listeners.delete(listener),
+        hasListener: listener => listeners.has(listener),
+        dispatch: (...args) => listeners.forEach(listener => listener(...args))
+    };
+}
+
+function createChromeMock() {
+    const tabs = new Map();
+    const groups = new Map();
+    const windows = new Map();
+    let nextId = 1;
+
+    const windowTabs = windowId => [...tabs.values()]
+        .filter(tab => tab.windowId === windowId)
+        .sort((a, b) => a.index - b.index);
+
+    const createTab = ({ windowId, url = 'about:blank', pinned = false, active = false }) => {
+        const tab = {
+            id: nextId++,
+            windowId,
+            index: windowTabs(windowId).length,
+            url,
+            title: url,
+            pinned,
+            active,
+            muted: false,
+            discarded: false,
+            groupId: -1
+        };
+        tabs.set(tab.id, tab);
+        return tab;
+    };
+
+    const getTab = async (tabId) => {
+        const tab = tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...tab, mutedInfo: { muted: tab.muted } };
+    };
+
+    const chrome = {
+        tabs: {
+            onUpdated: createEvent(),
+            onRemoved: createEvent(),
+            get: getTab,
+            create: async (properties) => {
+                const tab = createTab(properties);
+                if (tab.active) windowTabs(tab.windowId).forEach(other => { other.active = other === tab; });
+                return getTab(tab.id);
+            },
+            update: async (tabId, properties) => {
+                const tab = tabs.get(tabId);
+                if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+                if (properties.active) windowTabs(tab.windowId).forEach(other => { other.active = false; });
+                Object.assign(tab, properties);
+                return getTab(tabId);
+            },
+            query: async ({ windowId } = {}) => Promise.all((windowId === undefined ? [...tabs.values()] : windowTabs(windowId))
+                .map(tab => getTab(tab.id))),
+            group: async ({ tabIds, groupId, createProperties = {} }) => {
+                let id = groupId;
+                if (id === undefined) {
+                    id = nextId++;
+                    const windowId = createProperties.windowId ?? tabs.get(tabIds[0]).windowId;
+                    groups.set(id, { id, windowId, title: '', color: 'grey', collapsed: false });
+                }
+                tabIds.forEach(tabId => { tabs.get(tabId).groupId = id; });
+                return id;
+            },
+            discard: async (tabId) => {
+                tabs.get(tabId).discarded = true;
+                return getTab(tabId);
+            },
+            remove: async (tabIds) => {
+                [].concat(tabIds).forEach(tabId => {
+                    tabs.delete(tabId);
+                    chrome.tabs.onRemoved.dispatch(tabId, {});
+                });
+            }
+        },
+        tabGroups: {
+            query: async ({ windowId } = {}) => [...groups.values()]
+                .filter(group => windowId === undefined || group.windowId === windowId)
+                .map(group => ({ ...group })),
+            update: async (groupId, properties) => {
+                Object.assign(groups.get(groupId), properties);
+                return { ...groups.get(groupId) };
+            }
+        },
+        windows: {
+            create: async ({ url, focused = true, left, top, width, height } = {}) => {
+                const win = { id: nextId++, focused, left, top, width, height, state: 'normal' };
+                windows.set(win.id, win);
+                const first = createTab({ windowId: win.id, url, active: true });
+                return { ...win, tabs: [await getTab(first.id)] };
+            },
+            update: async (windowId, properties) => Object.assign(windows.get(windowId), properties)
+        },
+        // Test helpers, not part of the API
+        _state: { tabs, groups, windows },
+        _windowTabs: windowTabs
+    };
+    return chrome;
+}
+
+function installChromeMock() {
+    const chrome = createChromeMock();
+    globalThis.chrome = chrome;
+    return chrome;
+}
+
+export {
+    createChromeMock,
+    installChromeMock
+};
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSessions } from '../export-formats.js';
+import { parseImport } from '../import-formats.js';
+
+// Groups, ungrouped runs before, between and after them, and titles and URLs with characters
+// each format has to escape
+const session = {
+    name: 'Research & "notes" [draft]',
+    timestamp: Date.UTC(2024, 0, 15),
+    profile: null,
+    version: 2,
+    windows: [
+        {
+            state: 'normal',
+            focused: true,
+            tabs: [
+                { url: 'https://example.com/?q=a+b&lang=en#top', title: '<b>Bold</b> & "quoted"', group: null },
+                { url: 'https://docs.example.com/path(1)/file%20name', title: 'Docs [v2] *beta* _draft_', group: 0 },
+                { url: 'https://docs.example.com/a,b', title: 'Comma, "quote" and `code`', group: 0 },
+                { url: 'https://sheet.example.com/', title: '=SUM(A1:A2)', group: null },
+                { url: 'https://news.example.com/%3Cscript%3E', title: '+1 @mention -minus', group: 1 },
+                { url: 'https://last.example.com/', title: 'Back\\slash', group: null }
+            ],
+            groups: [
+                { id: 0, title: 'Docs & <Refs>', color: 'blue', collapsed: false },
+                { id: 1, title: 'News (daily)', color: 'red', collapsed: false }
+            ]
+        },
+        {
+            state: 'normal',
+            focused: false,
+            tabs: [{ url: 'https://second.example.com/', title: 'Second window', group: null }],
+            groups: []
+        }
+    ]
+};
+
+function roundTrip(format) {
+    const result = parseImport(formatSessions([session], format));
+    assert.equal(result.sessions.length, 1);
+    return result;
+}
+
+// Tabs with their group's title and color in place of the local id, which may be renumbered
+function tabsWithGroups(win) {
+    return win.tabs.map(tab => {
+        const group = win.groups.find(other => other.id === tab.group);
+        return { url: tab.url, title: tab.title, group: group ? { title: group.title, color: group.color } : null };
+    });
+}
+
+test('bookmarks HTML exports round-trip', () => {
+    const { format, sessions: [imported] } = roundTrip('html');
+
+    assert.equal(format, 'bookmarks');
+    assert.equal(imported.name, session.name);
+    assert.equal(imported.timestamp, session.timestamp);
+    assert.deepEqual(imported.windows.map(tabsWithGroups), session.windows.map(tabsWithGroups));
+});
+
+test('Markdown exports round-trip', () => {
+    const { format, sessions: [imported] } = roundTrip('markdown');
+
+    assert.equal(format, 'markdown');
+    assert.equal(imported.name, session.name);
+    assert.deepEqual(imported.windows.map(tabsWithGroups), session.windows.map(tabsWithGroups));
+});
+
+test('CSV exports round-trip without group colors', () => {
+    const { format, sessions: [imported] } = roundTrip('csv');
+
+    assert.equal(format, 'csv');
+    assert.equal(imported.name, session.name);
+    const withoutColors = win => tabsWithGroups(win).map(tab => ({ ...tab, group: tab.group && tab.group.title }));
+    assert.deepEqual(imported.windows.map(withoutColors), session.windows.map(withoutColors));
+    assert.ok(imported.windows[0].groups.every(group => group.color === 'grey'));
+});
+
+test('CSV exports quote cells spreadsheets would run as formulas', () => {
+    const csv = formatSessions([session], 'csv');
+
+    assert.match(csv, /^'=SUM\(A1:A2\),/m);
+    assert.match(csv, /^'\+1 @mention -minus,/m);
+});
+
+test('URL list exports round-trip the URLs of each window', () => {
+    const { format, sessions: [imported] } = roundTrip('urls');
+
+    assert.equal(format, 'urls');
+    assert.deepEqual(
+        imported.windows.map(win => win.tabs.map(tab => tab.url)),
+        session.windows.map(win => win.tabs.map(tab => tab.url))
+    );
+});
+
+test('formatSessions rejects unknown formats', () => {
+    assert.throws(() => formatSessions([session], 'pdf'), /Unknown export format: pdf/);
+});
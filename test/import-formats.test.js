@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImport } from '../import-formats.js';
+
+const urls = session => session.windows.map(win => win.tabs.map(tab => tab.url));
+
+// Tabs with their group's title and color in place of the local id
+function groupsOf(win) {
+    return win.tabs.map(tab => {
+        const group = win.groups.find(other => other.id === tab.group);
+        return group ? `${group.title}/${group.color}` : null;
+    });
+}
+
+function encodeBase64(text) {
+    return Buffer.from(text, 'utf8').toString('base64');
+}
+
+test('OneTab exports become a window per block with titles', () => {
+    const { format, sessions: [session] } = parseImport([
+        'https://a.example/ | Alpha | with a bar',
+        'https://b.example/path?q=1 | Beta',
+        '',
+        'https://c.example/ | Gamma',
+        'not a url | skipped'
+    ].join('\r\n'));
+
+    assert.equal(format, 'oneTab');
+    assert.deepEqual(urls(session), [
+        ['https://a.example/', 'https://b.example/path?q=1'],
+        ['https://c.example/']
+    ]);
+    assert.equal(session.windows[0].tabs[0].title, 'Alpha | with a bar');
+    assert.equal(session.windows[0].tabs[0].domain, 'a.example');
+});
+
+test('plain URL lists skip lines that are not URLs', () => {
+    const { format, sessions: [session] } = parseImport('https://a.example/\nhello\njavascript:alert(1)\nhttps://b.example/\n');
+
+    assert.equal(format, 'urls');
+    assert.deepEqual(urls(session), [['https://a.example/', 'https://b.example/']]);
+    assert.equal(session.windows[0].tabs[0].title, 'https://a.example/');
+});
+
+test('Session Buddy collections become sessions with a window per folder', () => {
+    const { format, sessions } = parseImport(JSON.stringify({
+        collections: [{
+            title: 'Reading',
+            created: Date.UTC(2024, 4, 1),
+            folders: [
+                { links: [{ url: 'https://a.example/', title: 'A' }, { url: 'https://b.example/', title: 'B', pinned: true }] },
+                { links: [{ url: 'https://c.example/', title: 'C' }] }
+            ]
+        }]
+    }));
+
+    assert.equal(format, 'sessionBuddy');
+    assert.equal(sessions[0].name, 'Reading');
+    assert.equal(sessions[0].timestamp, Date.UTC(2024, 4, 1));
+    assert.deepEqual(urls(sessions[0]), [['https://a.example/', 'https://b.example/'], ['https://c.example/']]);
+    assert.equal(sessions[0].windows[0].tabs[1].pinned, true);
+});
+
+test('older Session Buddy sessions keep window layout and the selected tab', () => {
+    const { sessions: [session] } = parseImport(JSON.stringify({
+        sessions: [{
+            type: 'current',
+            windows: [{
+                left: 5, top: 6, width: 700, height: 500, state: 'maximized', focused: true,
+                tabs: [{ url: 'https://a.example/', title: 'A' }, { url: 'https://b.example/', title: 'B', selected: true }]
+            }]
+        }]
+    }));
+
+    assert.equal(session.name, 'Session Buddy current');
+    const [win] = session.windows;
+    assert.deepEqual(
+        { left: win.left, top: win.top, width: win.width, height: win.height, state: win.state, focused: win.focused },
+        { left: 5, top: 6, width: 700, height: 500, state: 'maximized', focused: true }
+    );
+    assert.deepEqual(win.tabs.map(tab => tab.active), [false, true]);
+});
+
+test('Tab Session Manager sessions keep tab order and tab groups', () => {
+    const { format, sessions: [session] } = parseImport(JSON.stringify([{
+        name: 'Project',
+        date: Date.UTC(2024, 2, 3),
+        tabsNumber: 4,
+        windowsInfo: { 7: { state: 'normal', width: 900, height: 700 } },
+        tabGroups: [{ id: 41, title: 'Docs', color: 'blue', collapsed: true }],
+        windows: {
+            7: {
+                // Keyed by tab id, out of strip order
+                12: { index: 2, url: 'https://c.example/', title: 'C', groupId: 41 },
+                10: { index: 0, url: 'https://a.example/', title: 'A', groupId: -1, pinned: true },
+                11: { index: 1, url: 'https://b.example/', title: 'B', groupId: 41, mutedInfo: { muted: true } },
+                13: { index: 3, url: 'https://d.example/', title: 'D', groupId: 99 }
+            }
+        }
+    }]));
+
+    assert.equal(format, 'tabSessionManager');
+    assert.equal(session.name, 'Project');
+    assert.equal(session.timestamp, Date.UTC(2024, 2, 3));
+    const [win] = session.windows;
+    assert.deepEqual(urls(session), [['https://a.example/', 'https://b.example/', 'https://c.example/', 'https://d.example/']]);
+    assert.deepEqual(groupsOf(win), [null, 'Docs/blue', 'Docs/blue', null]);
+    assert.equal(win.groups[0].collapsed, true);
+    assert.equal(win.tabs[0].pinned, true);
+    assert.equal(win.tabs[1].muted, true);
+    assert.equal(win.width, 900);
+});
+
+test('browser bookmark exports become a session per folder with subfolders as groups', () => {
+    const { format, sessions } = parseImport(`<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<TITLE>Bookmarks</TITLE>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Work &amp; Play</H3>
+    <DL><p>
+        <DT><A HREF="https://a.example/?x=1&amp;y=2">A &lt;1&gt;</A>
+        <DT><H3>Tools</H3>
+        <DL><p>
+            <DT><A HREF="https://b.example/">B</A>
+            <DT><H3>Nested</H3>
+            <DL><p>
+                <DT><A HREF="https://c.example/">C</A>
+            </DL><p>
+        </DL><p>
+        <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+    </DL><p>
+    <DT><A HREF="https://loose.example/">Loose</A>
+</DL><p>`);
+
+    assert.equal(format, 'bookmarks');
+    assert.deepEqual(sessions.map(session => session.name), ['Work & Play', 'Imported bookmarks']);
+    assert.equal(sessions[0].timestamp, 1700000000 * 1000);
+    assert.deepEqual(urls(sessions[0]), [['https://a.example/?x=1&y=2', 'https://b.example/', 'https://c.example/']]);
+    assert.equal(sessions[0].windows[0].tabs[0].title, 'A <1>');
+    // Folders nested inside a group folder join that group
+    assert.deepEqual(groupsOf(sessions[0].windows[0]), [null, 'Tools/grey', 'Tools/grey']);
+    assert.deepEqual(urls(sessions[1]), [['https://loose.example/']]);
+});
+
+test('our own exports come back as saved', () => {
+    const session = {
+        name: 'Saved',
+        timestamp: 1234,
+        profile: null,
+        version: 2,
+        windows: [{
+            state: 'normal',
+            tabs: [{ url: 'https://a.example/', title: 'A', group: 0 }],
+            groups: [{ id: 0, title: 'G', color: 'red', collapsed: false }]
+        }]
+    };
+    const file = encodeBase64(JSON.stringify({ version: '1.0', timestamp: 1, session }));
+
+    const { format, sessions } = parseImport(file);
+    assert.equal(format, 'session');
+    assert.deepEqual(sessions, [session]);
+
+    const several = parseImport(JSON.stringify({ version: '1.0', timestamp: 1, sessions: [session, session] }));
+    assert.equal(several.sessions.length, 2);
+});
+
+test('own exports without windows and tabs in the stored shape are rejected', () => {
+    const exportOf = session => encodeBase64(JSON.stringify({ version: '1.0', timestamp: 1, session }));
+
+    assert.throws(() => parseImport(exportOf({ name: 'No windows' })), /Session 1 in this session file has no windows/);
+    assert.throws(() => parseImport(exportOf({ windows: [{ tabs: 'x' }] })), /window 1 in this session file has no tabs/);
+    assert.throws(() => parseImport(exportOf({ windows: [{ tabs: [{ title: 'No URL' }] }] })), /tab 1 in this session file has no URL/);
+    assert.throws(() => parseImport(exportOf({ windows: [{ tabs: [{ url: 'https://a.example/' }], groups: {} }] })), /invalid groups/);
+    assert.throws(() => parseImport(JSON.stringify({ version: '1.0', sessions: [null] })), /Session 1 in this session file has no windows/);
+});
+
+test('own exports missing a name or groups get defaults', () => {
+    const { sessions: [session] } = parseImport(JSON.stringify({
+        version: '1.0',
+        session: { windows: [{ tabs: [{ url: 'https://a.example/', groupId: -1 }] }] }
+    }));
+
+    assert.equal(session.name, 'Imported session');
+    assert.ok(Number.isFinite(session.timestamp));
+    assert.deepEqual(session.windows[0].groups, []);
+});
+
+test('malformed and unrecognized files are rejected', () => {
+    assert.throws(() => parseImport(''), /No tabs found|Unrecognized/);
+    assert.throws(() => parseImport('just some words\nand more'), /Unrecognized file format/);
+    assert.throws(() => parseImport('{"hello": "world"}'), /Unrecognized JSON file/);
+    assert.throws(() => parseImport('<DL><p><DT><A HREF="javascript:alert(1)">x</A></DL>'), /No tabs found in this bookmarks/);
+    assert.throws(() => parseImport(JSON.stringify({ collections: [{ title: 'Empty', folders: [] }] })), /No tabs found in this Session Buddy/);
+    assert.throws(() => parseImport(JSON.stringify([{ windows: { 1: {} }, tabsNumber: 0 }])), /No tabs found in this Tab Session Manager/);
+});
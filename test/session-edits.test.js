@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySessionEdits } from '../session-edits.js';
+
+const session = {
+    name: 'Work',
+    timestamp: 1,
+    version: 2,
+    windows: [
+        {
+            state: 'normal',
+            tabs: [
+                { url: 'https://a.example/', group: null, active: true },
+                { url: 'https://b.example/', group: 0 },
+                { url: 'https://c.example/', group: 0 },
+                { url: 'https://d.example/', group: null }
+            ],
+            groups: [{ id: 0, title: 'Docs', color: 'blue', collapsed: false }]
+        },
+        {
+            state: 'normal',
+            tabs: [{ url: 'https://e.example/', group: null }],
+            groups: []
+        }
+    ]
+};
+
+const urls = edited => edited.windows.map(win => win.tabs.map(tab => tab.url));
+
+test('moving several tabs to a new window moves them into the same one', () => {
+    const edited = applySessionEdits(session, ['0:1', '0:3', '1:0'].map(tab => ({ type: 'moveTab', tab, window: 'new' })));
+
+    assert.deepEqual(urls(edited), [
+        ['https://a.example/', 'https://c.example/'],
+        ['https://b.example/', 'https://d.example/', 'https://e.example/']
+    ]);
+    assert.deepEqual(edited.windows[1].tabs.map(tab => tab.group), [null, null, null]);
+});
+
+test('moving a tab into a group places it after the group\'s last tab', () => {
+    const edited = applySessionEdits(session, [{ type: 'moveTab', tab: '1:0', group: '0:0' }]);
+
+    assert.deepEqual(urls(edited), [
+        ['https://a.example/', 'https://b.example/', 'https://c.example/', 'https://e.example/', 'https://d.example/']
+    ]);
+    assert.deepEqual(edited.windows[0].tabs.map(tab => tab.group), [null, 0, 0, 0, null]);
+});
+
+test('edits leave the original session untouched', () => {
+    const before = structuredClone(session);
+    applySessionEdits(session, [{ type: 'removeTab', tab: '0:0' }, { type: 'rename', name: 'Renamed' }]);
+    assert.deepEqual(session, before);
+});
@@ -0,0 +1,186 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChromeMock } from './chrome-mock.js';
+import { captureWindow, upgradeWindowGroups, restoreWindow, restoreTabs, isRestoring, whileRestoring } from '../session-windows.js';
+
+let chrome;
+
+beforeEach(() => {
+    chrome = installChromeMock();
+});
+
+// Open a window holding the given tabs, grouping them as described by groups
+async function openWindow(tabSpecs, groupSpecs = []) {
+    const win = await chrome.windows.create({ url: tabSpecs[0].url, left: 10, top: 20, width: 800, height: 600 });
+    const tabIds = [win.tabs[0].id];
+    for (const spec of tabSpecs.slice(1)) {
+        tabIds.push((await chrome.tabs.create({ windowId: win.id, url: spec.url })).id);
+    }
+    for (const [i, spec] of tabSpecs.entries()) {
+        await chrome.tabs.update(tabIds[i], { title: spec.title || spec.url, pinned: !!spec.pinned });
+    }
+    for (const group of groupSpecs) {
+        const groupId = await chrome.tabs.group({ tabIds: group.tabs.map(i => tabIds[i]) });
+        await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: !!group.collapsed });
+    }
+    return { win: { ...win, state: 'normal' }, tabs: await chrome.tabs.query({ windowId: win.id }) };
+}
+
+test('captureWindow gives groups local ids in tab strip order', async () => {
+    const { win, tabs } = await openWindow([
+        { url: 'https://a.example/', pinned: true },
+        { url: 'https://b.example/' },
+        { url: 'https://c.example/' },
+        { url: 'https://d.example/' }
+    ], [
+        // Created first, but its tabs come later in the strip
+        { tabs: [3], title: 'Later', color: 'red' },
+        { tabs: [1, 2], title: 'Docs', color: 'blue', collapsed: true }
+    ]);
+
+    const captured = await captureWindow(win, tabs);
+
+    assert.deepEqual(captured.groups, [
+        { id: 0, title: 'Docs', color: 'blue', collapsed: true },
+        { id: 1, title: 'Later', color: 'red', collapsed: false }
+    ]);
+    assert.deepEqual(captured.tabs.map(tab => tab.group), [null, 0, 0, 1]);
+    assert.equal(captured.tabs[0].pinned, true);
+    assert.equal(captured.tabs[1].domain, 'b.example');
+    assert.deepEqual(
+        { left: captured.left, top: captured.top, width: captured.width, height: captured.height },
+        { left: 10, top: 20, width: 800, height: 600 }
+    );
+});
+
+test('upgradeWindowGroups converts browser groupIds to local group ids', () => {
+    const legacy = {
+        tabs: [
+            { url: 'https://a.example/', groupId: -1 },
+            { url: 'https://b.example/', groupId: 517 },
+            { url: 'https://c.example/', groupId: 93 },
+            { url: 'https://d.example/', groupId: 517 },
+            // A group that was never saved leaves its tab ungrouped
+            { url: 'https://e.example/', groupId: 4 }
+        ],
+        groups: [
+            { id: 93, title: 'Second', color: 'green' },
+            { id: 517, title: 'First', color: 'blue', collapsed: true }
+        ]
+    };
+
+    const upgraded = upgradeWindowGroups(legacy);
+
+    assert.deepEqual(upgraded.groups, [
+        { id: 0, title: 'First', color: 'blue', collapsed: true },
+        { id: 1, title: 'Second', color: 'green', collapsed: false }
+    ]);
+    assert.deepEqual(upgraded.tabs.map(tab => tab.group), [null, 0, 1, 0, null]);
+    assert.ok(upgraded.tabs.every(tab => !('groupId' in tab)));
+});
+
+test('upgradeWindowGroups leaves current windows untouched', () => {
+    const current = { tabs: [{ url: 'https://a.example/', group: 0 }], groups: [{ id: 0, title: 'A', color: 'red', collapsed: false }] };
+    assert.equal(upgradeWindowGroups(current), current);
+});
+
+test('restoreTabs rebuilds groups with their title, color and collapsed state', async () => {
+    const windowData = {
+        tabs: [
+            { url: 'https://a.example/', group: null, pinned: true },
+            { url: 'https://b.example/', group: 0 },
+            { url: 'https://c.example/', group: 0, active: true },
+            { url: 'https://d.example/', group: null, muted: true },
+            { url: 'https://e.example/', group: 1 }
+        ],
+        groups: [
+            { id: 0, title: 'Docs', color: 'blue', collapsed: false },
+            { id: 1, title: 'Archive', color: 'purple', collapsed: true }
+        ]
+    };
+
+    const { window } = await restoreWindow(windowData);
+    const tabs = chrome._windowTabs(window.id);
+    const groups = await chrome.tabGroups.query({ windowId: window.id });
+
+    assert.deepEqual(tabs.map(tab => tab.url), windowData.tabs.map(tab => tab.url));
+    assert.equal(tabs[0].pinned, true);
+    assert.equal(tabs[2].active, true);
+    assert.equal(tabs[3].muted, true);
+    assert.equal(tabs[0].groupId, -1);
+    assert.equal(tabs[3].groupId, -1);
+
+    const groupOf = tab => groups.find(group => group.id === tab.groupId);
+    assert.equal(tabs[1].groupId, tabs[2].groupId);
+    assert.deepEqual(
+        [groupOf(tabs[1]), groupOf(tabs[4])].map(({ title, color, collapsed }) => ({ title, color, collapsed })),
+        [
+            { title: 'Docs', color: 'blue', collapsed: false },
+            { title: 'Archive', color: 'purple', collapsed: true }
+        ]
+    );
+});
+
+test('restoreTabs appends to an existing window without activating', async () => {
+    const { win } = await openWindow([{ url: 'https://open.example/' }]);
+
+    await restoreTabs(win.id, {
+        tabs: [
+            { url: 'https://b.example/', group: 0, active: true },
+            { url: 'https://c.example/', group: 0 }
+        ],
+        groups: [{ id: 0, title: 'Added', color: 'cyan', collapsed: false }]
+    }, { activate: false });
+
+    const tabs = chrome._windowTabs(win.id);
+    assert.deepEqual(tabs.map(tab => tab.url), ['https://open.example/', 'https://b.example/', 'https://c.example/']);
+    assert.equal(tabs[0].active, true);
+    const [group] = await chrome.tabGroups.query({ windowId: win.id });
+    assert.equal(group.title, 'Added');
+    assert.deepEqual(tabs.map(tab => tab.groupId === group.id), [false, true, true]);
+});
+
+test('captured windows restore to the same layout', async () => {
+    const { win, tabs } = await openWindow([
+        { url: 'https://a.example/' },
+        { url: 'https://b.example/' },
+        { url: 'https://c.example/' }
+    ], [{ tabs: [1, 2], title: 'Pair', color: 'orange', collapsed: true }]);
+    const captured = await captureWindow(win, tabs);
+
+    const { window } = await restoreWindow(captured);
+    const restored = await captureWindow({ ...window, state: 'normal' }, await chrome.tabs.query({ windowId: window.id }));
+
+    assert.deepEqual(restored.groups, captured.groups);
+    assert.deepEqual(
+        restored.tabs.map(({ url, group, pinned }) => ({ url, group, pinned })),
+        captured.tabs.map(({ url, group, pinned }) => ({ url, group, pinned }))
+    );
+});
+
+test('tabs and windows count as restoring until the restore settles', async () => {
+    const { win } = await openWindow([{ url: 'https://open.example/' }]);
+    const windowData = {
+        tabs: [{ url: 'https://a.example/', group: null }, { url: 'https://b.example/', group: null }],
+        groups: []
+    };
+
+    const { window } = await whileRestoring(async () => {
+        await restoreTabs(win.id, windowData, { activate: false });
+        return restoreWindow(windowData);
+    });
+
+    const [openTab, ...appended] = chrome._windowTabs(win.id);
+    assert.equal(isRestoring(openTab), false);
+    assert.ok(appended.every(isRestoring));
+    assert.ok(isRestoring({ id: -1, windowId: window.id }));
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.ok(!appended.some(isRestoring));
+    assert.equal(isRestoring({ id: -1, windowId: window.id }), false);
+});
+
+test('restores outside whileRestoring leave nothing marked', async () => {
+    const { window } = await restoreWindow({ tabs: [{ url: 'https://a.example/', group: null }], groups: [] });
+    assert.equal(isRestoring(chrome._windowTabs(window.id)[0]), false);
+});
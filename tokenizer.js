@@ -0,0 +1,106 @@
+import { getMainDomain } from './utils.js';
+
+// Stopword lists per language; the active set is chosen in settings
+const STOPWORDS = {
+    en: ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how',
+        'in', 'into', 'is', 'it', 'its', 'new', 'of', 'on', 'or', 'our', 'that', 'the', 'this',
+        'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'],
+    de: ['als', 'am', 'an', 'auf', 'aus', 'bei', 'das', 'dem', 'den', 'der', 'des', 'die', 'ein',
+        'eine', 'einem', 'einen', 'einer', 'für', 'im', 'in', 'ist', 'mit', 'nach', 'oder', 'sich',
+        'sie', 'über', 'um', 'und', 'von', 'vom', 'wie', 'zu', 'zum', 'zur'],
+    fr: ['au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'en', 'est', 'et', 'il',
+        'la', 'le', 'les', 'leur', 'ou', 'par', 'pas', 'pour', 'qui', 'que', 'sur', 'un', 'une', 'vos', 'votre'],
+    es: ['al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'para', 'por',
+        'que', 'se', 'su', 'sus', 'un', 'una', 'uno', 'y'],
+    ru: ['в', 'во', 'и', 'из', 'к', 'как', 'на', 'не', 'о', 'об', 'от', 'по', 'с', 'со', 'для',
+        'до', 'за', 'или', 'что', 'это', 'как', 'при', 'у'],
+    ja: ['の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ', 'さ', 'ある', 'いる',
+        'も', 'する', 'から', 'な', 'こと', 'として', 'い', 'や', 'など', 'なっ', 'ない', 'この', 'ため', 'その'],
+    zh: ['的', '了', '和', '是', '在', '我', '有', '就', '不', '人', '都', '一', '上', '也', '很',
+        '到', '说', '要', '去', '你', '会', '着', '没有', '看', '好', '这', '那', '与', '及']
+};
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    ru: 'Russian',
+    ja: 'Japanese',
+    zh: 'Chinese'
+};
+
+// URL fragments that say nothing about a page's topic
+const URL_NOISE = new Set(['http', 'https', 'www', 'html', 'htm', 'php', 'asp', 'aspx', 'jsp', 'index', 'amp']);
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'word' })
+    : null;
+
+let activeStopwords = new Set(STOPWORDS.en);
+
+// Select the stopword languages and any extra user stopwords
+function configureTokenizer({ languages = ['en'], customStopwords = [] } = {}) {
+    activeStopwords = new Set([
+        ...languages.flatMap(language => STOPWORDS[language] || []),
+        ...customStopwords.map(word => word.trim().toLowerCase()).filter(Boolean)
+    ]);
+}
+
+// Split text into lowercase word tokens, segmenting scripts without spaces via Intl.Segmenter
+function tokenize(text) {
+    const normalized = (text || '').normalize('NFKC').toLowerCase();
+    const words = segmenter
+        ? Array.from(segmenter.segment(normalized))
+            .filter(segment => segment.isWordLike)
+            .flatMap(segment => segment.segment.match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+        : normalized.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    return words.filter(word => !activeStopwords.has(word));
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// Tokenize a URL, dropping the scheme, "www", the public suffix and file-extension noise
+function tokenizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return tokenize(url);
+    }
+
+    const parts = [];
+    if (parsed.hostname) {
+        const mainDomain = getMainDomain(parsed.hostname);
+        const subdomain = parsed.hostname.slice(0, -mainDomain.length).replace(/\.$/, '');
+        parts.push(subdomain.replace(/\./g, ' '), mainDomain.split('.')[0]);
+    }
+    parts.push(safeDecode(parsed.pathname), safeDecode(parsed.search.replace(/[?&=+]/g, ' ')));
+
+    return tokenize(parts.join(' ')).filter(token => !URL_NOISE.has(token));
+}
+
+// Whether a token is meaningful enough for a group title
+function isSignificantTerm(term) {
+    if (/^\p{N}+$/u.test(term)) return false;
+    const length = Array.from(term).length;
+    return UNSPACED_SCRIPT.test(term) ? length >= 2 : length > 2;
+}
+
+export {
+    STOPWORDS,
+    LANGUAGE_NAMES,
+    configureTokenizer,
+    tokenize,
+    tokenizeUrl,
+    isSignificantTerm
+};
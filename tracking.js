@@ -0,0 +1,154 @@
+const TRACKED_WINDOWS_KEY = 'trackedWindows';
+const TRACKED_DRAFTS_KEY = 'trackedDrafts';
+
+// Windows bound to a live session: windowId -> { sessionKey, windowIndex }, where windowIndex is
+// the window's position in the session. Mirrored to local storage so bindings survive service
+// worker restarts; window ids don't survive a browser restart, so they are reset on startup.
+let trackedWindows = null;
+
+async function loadTrackedWindows() {
+    if (!trackedWindows) {
+        const data = await chrome.storage.local.get(TRACKED_WINDOWS_KEY);
+        trackedWindows = new Map(Object.entries(data[TRACKED_WINDOWS_KEY] || {})
+            .map(([windowId, binding]) => [Number(windowId), binding]));
+    }
+    return trackedWindows;
+}
+
+async function saveTrackedWindows() {
+    await chrome.storage.local.set({ [TRACKED_WINDOWS_KEY]: Object.fromEntries(trackedWindows) });
+}
+
+// Bind a window to the session window at windowIndex
+async function bindWindow(windowId, sessionKey, windowIndex) {
+    const windows = await loadTrackedWindows();
+    // A session window is only tracked by one browser window at a time
+    for (const [boundId, binding] of windows) {
+        if (binding.sessionKey === sessionKey && binding.windowIndex === windowIndex) {
+            windows.delete(boundId);
+        }
+    }
+    windows.set(windowId, { sessionKey, windowIndex });
+    await saveTrackedWindows();
+}
+
+async function unbindWindow(windowId) {
+    const windows = await loadTrackedWindows();
+    if (windows.delete(windowId)) {
+        await saveTrackedWindows();
+    }
+}
+
+// Stop tracking a session in every window; changes not yet written to it are dropped
+async function unbindSession(sessionKey) {
+    await dropTrackedDraft(sessionKey);
+    const windows = await loadTrackedWindows();
+    let changed = false;
+    for (const [windowId, binding] of windows) {
+        if (binding.sessionKey === sessionKey) {
+            windows.delete(windowId);
+            changed = true;
+        }
+    }
+    if (changed) await saveTrackedWindows();
+}
+
+async function getWindowBinding(windowId) {
+    return (await loadTrackedWindows()).get(windowId) || null;
+}
+
+// Windows bound to a session as [{ windowId, windowIndex }]
+async function getSessionBindings(sessionKey) {
+    const bindings = [];
+    for (const [windowId, binding] of await loadTrackedWindows()) {
+        if (binding.sessionKey === sessionKey) {
+            bindings.push({ windowId, windowIndex: binding.windowIndex });
+        }
+    }
+    return bindings;
+}
+
+// Keys of sessions with at least one bound window
+async function getLiveSessionKeys() {
+    return [...new Set(Array.from((await loadTrackedWindows()).values(), binding => binding.sessionKey))];
+}
+
+// Windows captured from live windows but not yet written to their sessions, kept in local storage:
+// sessionKey -> { windows: { windowIndex: windowData }, capturedAt }
+let draftUpdates = Promise.resolve();
+
+// Serialize draft updates so captures of different sessions don't drop each other
+function updateDrafts(update) {
+    const result = draftUpdates.then(async () => {
+        const data = await chrome.storage.local.get(TRACKED_DRAFTS_KEY);
+        const drafts = data[TRACKED_DRAFTS_KEY] || {};
+        const value = update(drafts);
+        await chrome.storage.local.set({ [TRACKED_DRAFTS_KEY]: drafts });
+        return value;
+    });
+    draftUpdates = result.catch(error => {
+        console.error('Error updating live session drafts:', error);
+    });
+    return result;
+}
+
+// Record the captured state of a session's windows, given as { windowIndex: windowData }
+function saveTrackedDraft(sessionKey, windows) {
+    return updateDrafts(drafts => {
+        drafts[sessionKey] = {
+            windows: { ...drafts[sessionKey]?.windows, ...windows },
+            capturedAt: Date.now()
+        };
+    });
+}
+
+async function getTrackedDraft(sessionKey) {
+    await draftUpdates;
+    const data = await chrome.storage.local.get(TRACKED_DRAFTS_KEY);
+    return data[TRACKED_DRAFTS_KEY]?.[sessionKey] || null;
+}
+
+// Remove and return the draft waiting longest as { sessionKey, draft }, or null when there is none.
+// With a sessionKey, take that session's draft instead.
+function takeTrackedDraft(sessionKey = null) {
+    return updateDrafts(drafts => {
+        const key = sessionKey ?? Object.keys(drafts)
+            .sort((a, b) => drafts[a].capturedAt - drafts[b].capturedAt)[0];
+        if (!key || !drafts[key]) return null;
+        const draft = drafts[key];
+        delete drafts[key];
+        return { sessionKey: key, draft };
+    });
+}
+
+function dropTrackedDraft(sessionKey) {
+    return updateDrafts(drafts => {
+        delete drafts[sessionKey];
+    });
+}
+
+async function hasTrackedDrafts() {
+    await draftUpdates;
+    const data = await chrome.storage.local.get(TRACKED_DRAFTS_KEY);
+    return Object.keys(data[TRACKED_DRAFTS_KEY] || {}).length > 0;
+}
+
+// Drafts outlive the reset: they still belong to their sessions once their windows are gone
+async function resetTracking() {
+    trackedWindows = new Map();
+    await chrome.storage.local.remove(TRACKED_WINDOWS_KEY);
+}
+
+export {
+    bindWindow,
+    unbindWindow,
+    unbindSession,
+    getWindowBinding,
+    getSessionBindings,
+    getLiveSessionKeys,
+    saveTrackedDraft,
+    getTrackedDraft,
+    takeTrackedDraft,
+    hasTrackedDrafts,
+    resetTracking
+};
@@ -0,0 +1,76 @@
+import { storageSet, storageGet, storageRemove } from './utils.js';
+
+// Deleted sessions and profiles wait in local storage for a grace period before they are gone for good.
+// The index holds one entry per item, newest first; each item's data is stored compressed under its own key.
+const TRASH_INDEX_KEY = 'trashIndex';
+const TRASH_PREFIX = 'trash_';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Serialize index updates so deletions in quick succession don't drop entries
+let trashUpdates = Promise.resolve();
+
+function updateTrash(update) {
+    const result = trashUpdates.then(async () => {
+        const data = await chrome.storage.local.get(TRASH_INDEX_KEY);
+        const { entries, value } = await update(data[TRASH_INDEX_KEY] || []);
+        await chrome.storage.local.set({ [TRASH_INDEX_KEY]: entries });
+        return value;
+    });
+    trashUpdates = result.catch(error => {
+        console.error('Error updating trash:', error);
+    });
+    return result;
+}
+
+// Keep a deleted item; returns its trash entry
+function moveToTrash({ kind, key, name, data, reason = null }) {
+    return updateTrash(async (entries) => {
+        const deletedAt = Date.now();
+        const entry = { id: `${TRASH_PREFIX}${deletedAt}_${key}`, kind, key, name, deletedAt, reason };
+        await storageSet(entry.id, data, true);
+        return { entries: [entry, ...entries], value: entry };
+    });
+}
+
+// Trash entries, newest first
+async function listTrash() {
+    const data = await chrome.storage.local.get(TRASH_INDEX_KEY);
+    return data[TRASH_INDEX_KEY] || [];
+}
+
+// An item in the trash as { entry, data }; it stays there until purged
+async function getTrashItem(id) {
+    const entry = (await listTrash()).find(other => other.id === id);
+    if (!entry) throw new Error('Item is no longer in the trash');
+    return { entry, data: await storageGet(entry.id, true) };
+}
+
+// Delete items for good; with no ids, empty the trash. Returns the deleted entries.
+function purgeTrash(ids = null) {
+    return updateTrash(async (entries) => {
+        const purged = ids ? entries.filter(entry => ids.includes(entry.id)) : entries;
+        for (const entry of purged) {
+            await storageRemove(entry.id, true);
+        }
+        return { entries: entries.filter(entry => !purged.includes(entry)), value: purged };
+    });
+}
+
+// Delete items that have been in the trash longer than graceDays; returns the deleted entries
+function expireTrash(graceDays, now = Date.now()) {
+    return updateTrash(async (entries) => {
+        const expired = entries.filter(entry => now - entry.deletedAt > graceDays * DAY);
+        for (const entry of expired) {
+            await storageRemove(entry.id, true);
+        }
+        return { entries: entries.filter(entry => !expired.includes(entry)), value: expired };
+    });
+}
+
+export {
+    moveToTrash,
+    listTrash,
+    getTrashItem,
+    purgeTrash,
+    expireTrash
+};
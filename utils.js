@@ -27,6 +27,14 @@ async function getLZMA() {
     return lzmaInstance;
 }
 
+// Requests share one worker, so each gets its own id and listener
+let requestCounter = 0;
+
+function nextRequestId() {
+    requestCounter = (requestCounter + 1) % Number.MAX_SAFE_INTEGER;
+    return `${Date.now()}_${requestCounter}`;
+}
+
 // Enhanced compression using LZMA
 async function compressData(data) {
     try {
@@ -34,20 +42,23 @@ async function compressData(data) {
         const uint8Array = new TextEncoder().encode(jsonString);
         
         const worker = await getLZMA();
-        const id = Date.now().toString();
+        const id = nextRequestId();
         
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
+                worker.removeEventListener('message', onMessage);
                 reject(new Error('Compression timeout'));
             }, 30000); // 30 second timeout
             
-            worker.onmessage = function(e) {
+            function onMessage(e) {
                 if (e.data.id === id) {
                     clearTimeout(timeout);
+                    worker.removeEventListener('message', onMessage);
                     const base64 = btoa(String.fromCharCode.apply(null, e.data.result));
                     resolve(base64);
                 }
-            };
+            }
+            worker.addEventListener('message', onMessage);
             
             worker.postMessage({
                 action: 'compress',
@@ -66,20 +77,23 @@ async function decompressData(compressedData) {
     try {
         const compressed = new Uint8Array(atob(compressedData).split('').map(c => c.charCodeAt(0)));
         const worker = await getLZMA();
-        const id = Date.now().toString();
+        const id = nextRequestId();
         
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
+                worker.removeEventListener('message', onMessage);
                 reject(new Error('Decompression timeout'));
             }, 30000);
             
-            worker.onmessage = function(e) {
+            function onMessage(e) {
                 if (e.data.id === id) {
                     clearTimeout(timeout);
+                    worker.removeEventListener('message', onMessage);
                     const jsonString = new TextDecoder().decode(e.data.result);
                     resolve(JSON.parse(jsonString));
                 }
-            };
+            }
+            worker.addEventListener('message', onMessage);
             
             worker.postMessage({
                 action: 'decompress',
@@ -104,7 +118,9 @@ async function storageSet(key, value, useLocal = false) {
             return saveWithChunks(key, value, useLocal);
         }
         
-        return storage.set({ [key]: compressed });
+        await storage.set({ [key]: compressed });
+        // Drop chunks left over from a larger earlier version, or storageGet would prefer them
+        await removeChunks(key, useLocal);
     } catch (error) {
         console.error('Storage set error:', error);
         throw error;
@@ -160,6 +176,9 @@ async function saveWithChunks(key, data, useLocal = false) {
         }
     }
     
+    // Chunks beyond the new count belong to an earlier, larger version
+    await removeChunks(key, useLocal, chunks.length);
+    
     // Save metadata
     await storage.set({
         [`${key}_meta`]: {
@@ -167,6 +186,33 @@ async function saveWithChunks(key, data, useLocal = false) {
             timestamp: Date.now()
         }
     });
+    await storage.remove(key);
+}
+
+// Remove chunk keys (and the chunk metadata) stored for a key, keeping the first keepCount chunks
+async function removeChunks(key, useLocal = false, keepCount = 0) {
+    const storage = useLocal ? chrome.storage.local : chrome.storage.sync;
+    const metaKey = `${key}_meta`;
+    const meta = (await storage.get(metaKey))[metaKey];
+    if (!meta) return;
+    
+    const staleKeys = [];
+    for (let i = keepCount; i < meta.chunks; i++) {
+        staleKeys.push(`${key}_chunk_${i}`);
+    }
+    if (keepCount === 0) {
+        staleKeys.push(metaKey);
+    }
+    if (staleKeys.length > 0) {
+        await storage.remove(staleKeys);
+    }
+}
+
+// Remove a stored value along with any chunks written for it
+async function storageRemove(key, useLocal = false) {
+    const storage = useLocal ? chrome.storage.local : chrome.storage.sync;
+    await removeChunks(key, useLocal);
+    await storage.remove(key);
 }
 
 async function loadFromChunks(key, useLocal = false) {
@@ -220,12 +266,49 @@ function getMainDomain(domain) {
     return parts.slice(-2).join('.');
 }
 
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = [/^utm_/, /^fbclid$/, /^gclid$/, /^dclid$/, /^msclkid$/, /^yclid$/,
+    /^mc_cid$/, /^mc_eid$/, /^igshid$/, /^ref_src$/, /^_hsenc$/, /^_hsmi$/];
+
+// Normalize a URL for duplicate detection
+function normalizeUrl(url, { ignoreFragment = true, stripTrackingParams = true, ignoreTrailingSlash = true } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+
+    if (ignoreFragment) {
+        parsed.hash = '';
+    }
+    if (stripTrackingParams) {
+        for (const key of Array.from(parsed.searchParams.keys())) {
+            if (TRACKING_PARAMS.some(pattern => pattern.test(key))) {
+                parsed.searchParams.delete(key);
+            }
+        }
+    }
+    if (ignoreTrailingSlash && parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    // Treat "https://example.com/" and "https://example.com" alike
+    let normalized = parsed.toString();
+    if (ignoreTrailingSlash && !parsed.search && !parsed.hash) {
+        normalized = normalized.replace(/\/$/, '');
+    }
+    return normalized;
+}
+
 export {
     getMainDomain,
+    normalizeUrl,
     compressData,
     decompressData,
     storageSet,
     storageGet,
+    storageRemove,
     saveWithChunks,
     loadFromChunks
 };
\ No newline at end of file